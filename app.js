@@ -1,124 +1,256 @@
 // Bohemian Heat Map: Portland - Main Application
 // Version: MVP 1.0
 
-// Portland bounding box
-const PORTLAND_BBOX = {
-    south: 45.43,
-    west: -122.84,
-    north: 45.65,
-    east: -122.47
-};
-
 // Map initialization
 let map;
 let gridLayer;
+let gridPolygons = new Map(); // Grid cell id -> Leaflet polygon, so scores can be restyled in place
 let businessMarkers;
 let gridCells = [];
+let neighborhoods = []; // Real neighborhood polygons, loaded the first time neighborhood mode is chosen
+let scoringMode = 'grid'; // 'grid' (half-mile cells) or 'neighborhoods' (neighborhood boundaries)
 let allBusinesses = []; // All businesses across all categories
+let dataMetadata = null; // metadata block from businesses-data.json (null when fetched live)
+let dataSource = null; // Where the current data came from: 'saved' (IndexedDB), 'cached' (data file) or 'live'
+let businessIndex = null; // Spatial index over scoredBusinesses
+let businessIndexByCategory = {}; // Category id -> spatial index over that category's scored businesses
 let activeCategoryFilters = new Set(); // Track which categories are visible
-let categoryDefinitions = {}; // Category metadata
+let categoryDefinitions = {}; // Category metadata (built-in categories from categories.js, then custom ones)
+let customCategories = []; // User-defined categories saved in this browser: { id, name, icon, color, match }
+let editingCustomCategoryId = null; // Custom category open in the editor (null when creating one)
+let categoryWeights = {}; // Category id -> Bohemian Score weight (set by the filter panel sliders)
+let scoreUpdateTimer = null;
+let scoringWorker = null; // Web Worker running scoreAreas() (null when scoring on the main thread)
+let scoreRequestId = 0; // Id of the latest scoring request; older results are discarded
+let pendingScoreRequests = new Map(); // Request id -> { areas, settings, businesses, resolve } awaiting the worker
+let selectedCellId = null; // Id (as a string) of the area selected with highlightGridCell()
+let urlStateTimer = null;
+let pendingHistoryPush = false; // Whether the next URL update adds a history entry
+let isApplyingUrlState = false; // Set while back/forward navigation restores state
+let currentCity = null; // Active city from CITY_CONFIG (cities.js), with its id
+let datasetDbPromise = null; // Opened dataset database (resolves to null where IndexedDB is unavailable)
+let userLocationLayer = null; // Marker (and accuracy circle) for the location used by Find nearest
+let isPickingLocation = false; // Set while waiting for a map click to choose the location
+let pinnedAreaIds = []; // Ids (as strings) of the areas pinned for comparison, in pinning order
+let businessMarkersByBusiness = new Map(); // Business -> its marker, for businesses shown on the map
+let businessSearchEntries = null; // Search entries for allBusinesses (built on the first search)
+let searchNeighborhoods = null; // Search entries for the city's neighborhoods (loaded when search is focused)
+let searchMatches = []; // Entries listed under the search box
+let activeSearchIndex = -1; // Result highlighted with the arrow keys
+let openingHoursFilter = { mode: 'any', day: 5, time: '21:00', hideUnknown: false, scoreOpenOnly: false }; // Opening hours section of the filter panel ('any', 'now' or 'at' a weekday and time)
+let openingHoursFilterTime = null; // City wall clock time the opening hours filter checks (null for any time)
+let openNowTimer = null;
+let activeAttributeFilters = new Set(); // Ids from ATTRIBUTE_FILTERS a business must all have to be shown
+let attributeFiltersApplyToScores = false; // Whether the heat map only counts businesses with those attributes
+let scoredBusinesses = []; // Businesses the heat map counts: allBusinesses, or those passing the opening hours and attribute filters
 
 // Grid settings - half-mile squares
-// Half mile ≈ 0.804 km
-// At Portland's latitude (~45.5°): 
-// - 1 degree lat ≈ 111 km, so 0.804/111 ≈ 0.00724 degrees
-// - 1 degree lon ≈ 78 km, so 0.804/78 ≈ 0.0103 degrees
+// Half mile ≈ 0.804 km; the steps in degrees depend on the city's latitude (see getGridSteps)
 const GRID_SIZE_MILES = 0.5;
 const GRID_SIZE_KM = 0.804;
-const GRID_LAT_STEP = 0.00724;
-const GRID_LON_STEP = 0.0103;
-
-// Chain restaurants and inappropriate businesses to exclude from bohemian heat map
-const EXCLUDED_CHAINS = [
-    // Fast food chains
-    'subway',
-    'starbucks',
-    'mcdonald',
-    'dunkin',
-    'taco bell',
-    'domino',
-    'burger king',
-    'pizza hut',
-    'wendy',
-    'dairy queen',
-    'little caesar',
-    'kfc',
-    'sonic',
-    'chipotle',
-    'arby',
-    'papa john',
-    'popeyes',
-    'chick-fil-a',
-    'chick fil a',
-    'panera',
-    'jack in the box',
-    // Retail chains
-    'autozone',
-    'bi-mart',
-    'bi mart',
-    'target',
-    'michael\'s',
-    'michaels',
-    'ross',
-    // Coffee chains (excluded from Indie Coffee Shops)
-    'dutch bros',
-    'scooter\'s coffee',
-    'scooters coffee',
-    'tim hortons',
-    'caribou coffee',
-    'biggby coffee',
-    'biggby',
-    '7 brew',
-    'krispy kreme',
-    'shipley',
-    'shipley do-nuts',
-    'daylight donuts',
-    'pj\'s coffee',
-    'pjs coffee'
-];
 
-// Check if a business should be excluded (is a chain restaurant or inappropriate business)
-function isExcludedChain(business) {
-    const name = (business.name || '').toLowerCase();
-    
-    // Check excluded chains list
-    if (EXCLUDED_CHAINS.some(chain => name.includes(chain))) {
-        return true;
+// Bohemian Score weight settings (the scoring model itself lives in scoring.js)
+const DEFAULT_CATEGORY_WEIGHT = 5;
+const MAX_CATEGORY_WEIGHT = 10;
+const DEFAULT_DETRACTOR_PENALTY = 5; // Detractor categories (chains, big-box stores) subtract at this weight
+const SCORE_UPDATE_DELAY_MS = 150; // Debounce for slider changes
+const URL_STATE_DELAY_MS = 400; // Batch URL updates so a slider drag adds one history entry
+const DATA_STALE_AFTER_DAYS = 60; // Data older than this is flagged in the drawer (fetch-data.js is meant to run monthly)
+
+// Overpass API client with retries and mirror failover (endpoints are listed in overpass.js)
+// The build script's defaults allow minutes per query; someone waiting on the loading overlay
+// gets one quick retry on a mirror before the app moves on to its next fallback
+const overpassClient = OVERPASS_CLIENT.createOverpassClient({
+    maxAttempts: 2,
+    baseDelayMs: 1000,
+    maxRetryAfterMs: 10000,
+    timeoutMs: 30000,
+    onRetry: ({ label, attempt, error, nextEndpoint, waitMs }) => {
+        console.warn(`${label}: attempt ${attempt} failed (${error.message}); trying ${nextEndpoint} in ${Math.round(waitMs / 1000)} s`);
     }
-    
-    // Exclude automotive-related businesses (especially from Creator Spaces)
-    const automotiveKeywords = ['auto parts', 'truck parts', 'automotive', 'car parts'];
-    if (automotiveKeywords.some(keyword => name.includes(keyword))) {
-        return true;
-    }
-    
-    return false;
+});
+
+// Map view (each city sets its own initial center and zoom in cities.js)
+const MAX_ZOOM = 19;
+
+// Find nearest: an area's score counts half for every NEAREST_HALF_SCORE_KM between it and the user
+const NEAREST_HALF_SCORE_KM = 1.5;
+const GEOLOCATION_TIMEOUT_MS = 10000;
+const NOMINATIM_SEARCH_URL = 'https://nominatim.openstreetmap.org/search';
+
+// Area comparison: how many areas can be pinned, and the color of each in the chart and table
+const MAX_PINNED_AREAS = 4;
+const COMPARE_COLORS = ['#007bff', '#e83e8c', '#fd7e14', '#20c997'];
+
+const MAX_SEARCH_RESULTS = 8;
+
+// Opening hours filter
+const OPEN_NOW_REFRESH_MS = 5 * 60 * 1000; // Re-check "Open now" while the page stays open
+const FRIDAY_NIGHT = { day: 5, time: '21:00' };
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const URL_WEEKDAYS = WEEKDAY_NAMES.map(name => name.slice(0, 2).toLowerCase()); // "fr" in open=fr,21:00
+
+// Attribute filters: facets from OSM tags that narrow the selected categories
+const ATTRIBUTE_FILTERS = [
+    { id: 'wheelchair', name: 'Wheelchair accessible', icon: '♿', test: tags => tags.wheelchair === 'yes' },
+    { id: 'outdoor-seating', name: 'Outdoor seating', icon: '🌳', test: tags => tags.outdoor_seating === 'yes' },
+    { id: 'vegan-options', name: 'Vegan options', icon: '🥗', test: tags => tags['diet:vegan'] === 'yes' || tags['diet:vegan'] === 'only' },
+    { id: 'vegan-only', name: 'Vegan only', icon: '🌱', test: tags => tags['diet:vegan'] === 'only' },
+    { id: 'gluten-free', name: 'Gluten-free options', icon: '🌾', test: tags => tags['diet:gluten_free'] === 'yes' || tags['diet:gluten_free'] === 'only' },
+    { id: 'website', name: 'Has a website', icon: '🌐', test: tags => Boolean(getWebsiteUrl(tags.website || tags['contact:website'])) }
+];
+
+// OSM tags included as columns in the business CSV export
+const CSV_EXPORT_TAGS = [
+    'addr:housenumber', 'addr:street', 'addr:unit', 'addr:city', 'addr:postcode',
+    'cuisine', 'diet:vegan', 'diet:gluten_free', 'opening_hours', 'phone', 'website',
+    'wheelchair', 'outdoor_seating'
+];
+
+// User-defined categories, kept in localStorage and matched against each business's stored OSM tags
+const CUSTOM_CATEGORY_STORAGE_KEY = 'bohemian-heat-map:custom-categories';
+const CUSTOM_CATEGORY_ID_PREFIX = 'custom-';
+const CUSTOM_CATEGORY_DEFAULT_ICON = '⭐';
+const CUSTOM_CATEGORY_DEFAULT_COLOR = '#009688';
+const CUSTOM_RULE_OPERATORS = {
+    equals: 'equals',
+    contains: 'contains',
+    exists: 'is set',
+    missing: 'is not set'
+};
+
+// Datasets saved in IndexedDB so later visits (and offline ones) start without downloading them;
+// keyed by city and metadata.generatedAt, keeping only the newest per city
+const DATASET_DB_NAME = 'bohemian-heat-map';
+const DATASET_DB_VERSION = 1;
+const DATASET_STORE = 'datasets';
+
+let detractorPenaltyWeight = DEFAULT_DETRACTOR_PENALTY; // How strongly detractor categories lower the score
+
+// Check if a category counts against the Bohemian Score
+function isDetractorCategory(categoryId) {
+    return Boolean(categoryDefinitions[categoryId]?.detractor);
+}
+
+// Categories selected when the app starts: every bohemian category, no detractor markers
+function getDefaultCategoryFilters() {
+    return Object.keys(categoryDefinitions).filter(cat => !isDetractorCategory(cat));
 }
 
 // Initialize the application
 document.addEventListener('DOMContentLoaded', async () => {
-    initializeMap();
+    const urlState = readUrlState();
+    currentCity = getCity(urlState.city);
+    applyCityLabels();
+    initializeMap(urlState);
+    registerServiceWorker();
     initializeUI();
+    initializeCitySelector();
+    initializeCustomCategoryEditor();
+    initializeLocateControl();
+    initializeAreaComparison();
+    initializeSearch();
     showWelcomeModal();
+    initializeCategories();
     await loadData();
+    applyCustomCategories();
+    renderDataStatus();
+    // Filters and weights from a shared link apply before the filter panel is built
+    applyUrlSettings(urlState);
+    initializeScoringWorker();
+    buildBusinessIndexes();
     // Initialize filter panel after categories are loaded
     initializeFilterPanel();
     renderMap();
+    
+    if (urlState.mode !== scoringMode) {
+        await setScoringMode(urlState.mode);
+    }
+    selectedCellId = urlState.cellId;
+    markSelectedCell();
+    
+    // Keep the URL in sync from here on
+    map.on('moveend', () => updateUrlState());
+    window.addEventListener('popstate', restoreUrlState);
 });
 
-// Initialize Leaflet map
-function initializeMap() {
+// Look up a city in cities.js, falling back to the default city for unknown ids
+function getCity(cityId) {
+    const id = CITY_CONFIG.cities[cityId] ? cityId : CITY_CONFIG.defaultCity;
+    return { id, ...CITY_CONFIG.cities[id] };
+}
+
+// Show the current city's name in the page and welcome titles
+function applyCityLabels() {
+    const title = `Bohemian Heat Map: ${currentCity.name}`;
+    document.title = title;
+    document.querySelector('.modal-title').textContent = title;
+}
+
+// Fill the city selector from cities.js (hidden when only one city is configured)
+function initializeCitySelector() {
+    const picker = document.getElementById('city-picker');
+    const select = document.getElementById('city-select');
+    const cityIds = Object.keys(CITY_CONFIG.cities);
+    
+    picker.classList.toggle('hidden', cityIds.length < 2);
+    select.innerHTML = cityIds
+        .map(cityId => `<option value="${cityId}">${escapeHtml(CITY_CONFIG.cities[cityId].name)}</option>`)
+        .join('');
+    select.value = currentCity.id;
+    
+    select.addEventListener('change', async () => {
+        await setCity(select.value);
+        updateUrlState(true);
+    });
+}
+
+// Switch to another city: load its data, rebuild the grid and rescore in the current mode
+async function setCity(cityId) {
+    const city = getCity(cityId);
+    if (city.id === currentCity.id) return;
+    
+    currentCity = city;
+    applyCityLabels();
+    document.getElementById('city-select').value = currentCity.id;
+    map.setView(currentCity.center, currentCity.zoom);
+    
+    // Areas and the selection belong to the previous city
+    neighborhoods = [];
+    selectedCellId = null;
+    clearPinnedAreas();
+    resetSearch();
+    document.getElementById('data-update-banner').classList.add('hidden');
+    
+    await loadData();
+    applyCustomCategories();
+    renderDataStatus();
+    buildBusinessIndexes();
+    
+    const mode = scoringMode;
+    scoringMode = 'grid';
+    updateModeToggle();
+    renderMap();
+    if (mode !== 'grid') {
+        await setScoringMode(mode);
+    }
+}
+
+// Initialize Leaflet map, starting from the view in the URL if there is one
+function initializeMap(urlState) {
     map = L.map('map', {
-        center: [45.515, -122.655],
-        zoom: 12,
+        center: urlState.center || currentCity.center,
+        zoom: urlState.zoom ?? currentCity.zoom,
         zoomControl: true,
         attributionControl: true
     });
 
     // Add OpenStreetMap tiles
+    // (loaded with CORS so image export can draw them)
     L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
         attribution: '© OpenStreetMap contributors',
-        maxZoom: 19
+        maxZoom: MAX_ZOOM,
+        crossOrigin: true
     }).addTo(map);
 
     // Initialize marker cluster group for businesses
@@ -128,294 +260,9 @@ function initializeMap() {
     });
 }
 
-// Define business categories and their OSM queries
+// Get category definitions for the current city (see categories.js)
 function getCategoryDefinitions() {
-    const bbox = `${PORTLAND_BBOX.south},${PORTLAND_BBOX.west},${PORTLAND_BBOX.north},${PORTLAND_BBOX.east}`;
-    
-    return {
-        'vegan-restaurants': {
-            name: 'Vegan Restaurants',
-            icon: '🌱',
-            color: '#4CAF50',
-            query: `
-                [out:json][timeout:90];
-                (
-                  node["diet:vegan"~"^(yes|only)$"]["amenity"~"^(restaurant|cafe|fast_food|food_court|bar|bistro|pub)$"]({{bbox}});
-                  node["diet:vegan"~"^(yes|only)$"]["shop"="bakery"]({{bbox}});
-                  node["cuisine"~"vegan",i]["amenity"~"^(restaurant|cafe|fast_food|food_court|bar|bistro|pub)$"]({{bbox}});
-                  way["diet:vegan"~"^(yes|only)$"]["amenity"~"^(restaurant|cafe|fast_food|food_court|bar|bistro|pub)$"]({{bbox}});
-                  way["diet:vegan"~"^(yes|only)$"]["shop"="bakery"]({{bbox}});
-                  way["cuisine"~"vegan",i]["amenity"~"^(restaurant|cafe|fast_food|food_court|bar|bistro|pub)$"]({{bbox}});
-                );
-                out center tags;
-            `.replace(/\{\{bbox\}\}/g, bbox),
-            filterFn: (tags) => {
-                const hasVeganDiet = tags['diet:vegan'] === 'yes' || tags['diet:vegan'] === 'only';
-                const cuisine = tags.cuisine ? tags.cuisine.toLowerCase() : '';
-                return hasVeganDiet || cuisine.includes('vegan');
-            }
-        },
-        'vegan-friendly': {
-            name: 'Vegan-Friendly Restaurants',
-            icon: '🥗',
-            color: '#8BC34A',
-            query: `
-                [out:json][timeout:90];
-                (
-                  node["diet:vegetarian"="yes"]["amenity"~"^(restaurant|cafe|fast_food|food_court)$"]({{bbox}});
-                  node["diet:vegan:options"="yes"]["amenity"~"^(restaurant|cafe|fast_food|food_court)$"]({{bbox}});
-                  way["diet:vegetarian"="yes"]["amenity"~"^(restaurant|cafe|fast_food|food_court)$"]({{bbox}});
-                  way["diet:vegan:options"="yes"]["amenity"~"^(restaurant|cafe|fast_food|food_court)$"]({{bbox}});
-                );
-                out center tags;
-            `.replace(/\{\{bbox\}\}/g, bbox),
-            filterFn: (tags) => {
-                return (tags['diet:vegetarian'] === 'yes' || tags['diet:vegan:options'] === 'yes') &&
-                       !tags['diet:vegan'] && !tags.cuisine?.toLowerCase().includes('vegan');
-            }
-        },
-        'art-spaces': {
-            name: 'Art Spaces',
-            icon: '🎨',
-            color: '#E91E63',
-            query: `
-                [out:json][timeout:90];
-                (
-                  node["amenity"="arts_centre"]({{bbox}});
-                  node["tourism"="gallery"]({{bbox}});
-                  node["craft"~"artist|painter|sculptor",i]({{bbox}});
-                  node["studio"~"art",i]({{bbox}});
-                  way["amenity"="arts_centre"]({{bbox}});
-                  way["tourism"="gallery"]({{bbox}});
-                );
-                out center tags;
-            `.replace(/\{\{bbox\}\}/g, bbox),
-            filterFn: (tags) => {
-                return tags.amenity === 'arts_centre' || 
-                       tags.tourism === 'gallery' ||
-                       tags.craft?.toLowerCase().includes('artist') ||
-                       tags.studio?.toLowerCase().includes('art');
-            }
-        },
-        'creator-spaces': {
-            name: 'Creator Spaces',
-            icon: '🛠️',
-            color: '#FF9800',
-            query: `
-                [out:json][timeout:90];
-                (
-                  node["craft"~"art|pottery|wood|metal",i]({{bbox}});
-                  node["shop"~"art|craft",i]({{bbox}});
-                  node["amenity"~"maker|workshop",i]({{bbox}});
-                  way["craft"~"art|pottery|wood|metal",i]({{bbox}});
-                  way["shop"~"art|craft",i]({{bbox}});
-                );
-                out center tags;
-            `.replace(/\{\{bbox\}\}/g, bbox),
-            filterFn: (tags) => {
-                // Basic category filter
-                const isCreatorSpace = tags.shop?.toLowerCase().includes('art') ||
-                       tags.shop?.toLowerCase().includes('craft') ||
-                       tags.craft ||
-                       tags.amenity?.toLowerCase().includes('maker') ||
-                       tags.amenity?.toLowerCase().includes('workshop');
-                
-                if (!isCreatorSpace) return false;
-                
-                // Exclude automotive-related shops and retail chains
-                const name = (tags.name || '').toLowerCase();
-                const automotiveKeywords = ['auto parts', 'truck parts', 'automotive', 'car parts'];
-                const excludedRetailChains = ['autozone', 'bi-mart', 'bi mart', 'target', 'michael\'s', 'michaels', 'ross'];
-                
-                // Exclude if matches automotive keywords or retail chains
-                if (automotiveKeywords.some(keyword => name.includes(keyword)) ||
-                    excludedRetailChains.some(chain => name.includes(chain))) {
-                    return false;
-                }
-                
-                return true;
-            }
-        },
-        'music-venues': {
-            name: 'Music Venues',
-            icon: '🎵',
-            color: '#9C27B0',
-            query: `
-                [out:json][timeout:90];
-                (
-                  node["amenity"="music_venue"]({{bbox}});
-                  node["amenity"~"nightclub|bar"]["music"~"live|yes",i]({{bbox}});
-                  node["leisure"~"music",i]({{bbox}});
-                  way["amenity"="music_venue"]({{bbox}});
-                  way["amenity"~"nightclub|bar"]["music"~"live|yes",i]({{bbox}});
-                );
-                out center tags;
-            `.replace(/\{\{bbox\}\}/g, bbox),
-            filterFn: (tags) => {
-                return tags.amenity === 'music_venue' ||
-                       (tags.music?.toLowerCase().includes('live') && (tags.amenity === 'bar' || tags.amenity === 'nightclub'));
-            }
-        },
-        'record-stores': {
-            name: 'Independent Record Stores',
-            icon: '💿',
-            color: '#673AB7',
-            query: `
-                [out:json][timeout:90];
-                (
-                  node["shop"="music"]({{bbox}});
-                  way["shop"="music"]({{bbox}});
-                );
-                out center tags;
-            `.replace(/\{\{bbox\}\}/g, bbox),
-            filterFn: (tags) => {
-                return tags.shop === 'music';
-            }
-        },
-        'bookstores': {
-            name: 'Independent Bookstores',
-            icon: '📚',
-            color: '#795548',
-            query: `
-                [out:json][timeout:90];
-                (
-                  node["shop"="books"]({{bbox}});
-                  node["shop"="bookstore"]({{bbox}});
-                  way["shop"="books"]({{bbox}});
-                  way["shop"="bookstore"]({{bbox}});
-                );
-                out center tags;
-            `.replace(/\{\{bbox\}\}/g, bbox),
-            filterFn: (tags) => {
-                return tags.shop === 'books' || tags.shop === 'bookstore';
-            }
-        },
-        'gaming-comics': {
-            name: 'Gaming and Comics',
-            icon: '🎲',
-            color: '#3F51B5',
-            query: `
-                [out:json][timeout:90];
-                (
-                  node["shop"~"games|comics|video_games",i]({{bbox}});
-                  node["leisure"~"games",i]({{bbox}});
-                  way["shop"~"games|comics|video_games",i]({{bbox}});
-                );
-                out center tags;
-            `.replace(/\{\{bbox\}\}/g, bbox),
-            filterFn: (tags) => {
-                return tags.shop?.toLowerCase().includes('game') ||
-                       tags.shop?.toLowerCase().includes('comic') ||
-                       tags.leisure?.toLowerCase().includes('game');
-            }
-        },
-        'vintage-shops': {
-            name: 'Vintage Shops',
-            icon: '👜',
-            color: '#FF5722',
-            query: `
-                [out:json][timeout:90];
-                (
-                  node["shop"~"second_hand|vintage|antiques",i]({{bbox}});
-                  node["shop"="clothes"]["second_hand"="yes"]({{bbox}});
-                  node["shop"="furniture"]["second_hand"="yes"]({{bbox}});
-                  way["shop"~"second_hand|vintage|antiques",i]({{bbox}});
-                  way["shop"="clothes"]["second_hand"="yes"]({{bbox}});
-                );
-                out center tags;
-            `.replace(/\{\{bbox\}\}/g, bbox),
-            filterFn: (tags) => {
-                return tags.shop?.toLowerCase().includes('second_hand') ||
-                       tags.shop?.toLowerCase().includes('vintage') ||
-                       tags.shop?.toLowerCase().includes('antique') ||
-                       (tags['second_hand'] === 'yes' && (tags.shop === 'clothes' || tags.shop === 'furniture'));
-            }
-        },
-        'indie-coffee': {
-            name: 'Indie Coffee Shops',
-            icon: '☕',
-            color: '#8D6E63',
-            query: `
-                [out:json][timeout:90];
-                (
-                  node["amenity"="cafe"]({{bbox}});
-                  way["amenity"="cafe"]({{bbox}});
-                );
-                out center tags;
-            `.replace(/\{\{bbox\}\}/g, bbox),
-            filterFn: (tags) => {
-                // Filter out chain coffee shops
-                const name = (tags.name || '').toLowerCase();
-                const chains = [
-                    'starbucks',
-                    'dunkin',
-                    'dunkin donuts',
-                    'peets',
-                    'peet\'s',
-                    'tullys',
-                    'coffee bean',
-                    'coffee bean & tea leaf',
-                    'dutch bros',
-                    'scooter\'s coffee',
-                    'scooters coffee',
-                    'tim hortons',
-                    'caribou coffee',
-                    'biggby coffee',
-                    'biggby',
-                    '7 brew',
-                    'krispy kreme',
-                    'shipley',
-                    'shipley do-nuts',
-                    'daylight donuts',
-                    'pj\'s coffee',
-                    'pjs coffee'
-                ];
-                return tags.amenity === 'cafe' && !chains.some(chain => name.includes(chain));
-            }
-        },
-        'food-coops': {
-            name: 'Food Co-ops',
-            icon: '🥬',
-            color: '#689F38',
-            query: `
-                [out:json][timeout:90];
-                (
-                  node["shop"="supermarket"]["organic"="yes"]({{bbox}});
-                  node["shop"="supermarket"]["cooperative"="yes"]({{bbox}});
-                  node["shop"="health_food"]({{bbox}});
-                  way["shop"="supermarket"]["organic"="yes"]({{bbox}});
-                  way["shop"="health_food"]({{bbox}});
-                );
-                out center tags;
-            `.replace(/\{\{bbox\}\}/g, bbox),
-            filterFn: (tags) => {
-                return (tags.shop === 'supermarket' && (tags.organic === 'yes' || tags.cooperative === 'yes')) ||
-                       tags.shop === 'health_food';
-            }
-        },
-        'theaters': {
-            name: 'Community Theaters',
-            icon: '🎭',
-            color: '#F44336',
-            query: `
-                [out:json][timeout:90];
-                (
-                  node["amenity"="theatre"]({{bbox}});
-                  node["amenity"="cinema"]({{bbox}});
-                  way["amenity"="theatre"]({{bbox}});
-                  way["amenity"="cinema"]({{bbox}});
-                );
-                out center tags;
-            `.replace(/\{\{bbox\}\}/g, bbox),
-            filterFn: (tags) => {
-                // Filter out major chain theaters - approximate
-                const name = (tags.name || '').toLowerCase();
-                const chains = ['regal', 'cinemark', 'amc', 'century'];
-                return (tags.amenity === 'theatre' || tags.amenity === 'cinema') && 
-                       !chains.some(chain => name.includes(chain));
-            }
-        }
-    };
+    return CATEGORY_CONFIG.getCategoryDefinitions(currentCity.bbox);
 }
 
 // Initialize UI elements
@@ -469,6 +316,49 @@ function initializeUI() {
     document.getElementById('filter-btn').addEventListener('click', () => {
         toggleFilterPanel();
     });
+
+    // Export button - show/hide export menu
+    const exportButton = document.getElementById('export-btn');
+    const exportMenu = document.getElementById('export-menu');
+    exportButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const isOpen = exportMenu.classList.toggle('active');
+        exportButton.setAttribute('aria-expanded', isOpen);
+    });
+    
+    exportMenu.querySelectorAll('.export-menu-item').forEach(item => {
+        item.addEventListener('click', () => {
+            closeExportMenu();
+            runExport(item.dataset.export);
+        });
+    });
+    
+    // Close the export menu on any click outside it
+    document.addEventListener('click', (e) => {
+        if (!exportMenu.contains(e.target)) {
+            closeExportMenu();
+        }
+    });
+    
+    // Data update banner - the updated dataset is already saved, so a reload shows it
+    const updateBanner = document.getElementById('data-update-banner');
+    updateBanner.querySelector('.data-update-reload').addEventListener('click', () => {
+        window.location.reload();
+    });
+    updateBanner.querySelector('.data-update-dismiss').addEventListener('click', () => {
+        updateBanner.classList.add('hidden');
+    });
+
+    // Scoring mode toggle - half-mile grid or neighborhoods
+    document.querySelectorAll('.mode-btn').forEach(button => {
+        button.addEventListener('click', async () => {
+            if (button.dataset.mode === scoringMode) return;
+            // Area ids differ between modes, so the selection does not carry over
+            selectedCellId = null;
+            await setScoringMode(button.dataset.mode);
+            updateUrlState(true);
+        });
+    });
 }
 
 // Initialize filter panel UI
@@ -476,25 +366,79 @@ function initializeFilterPanel() {
     const filterPanel = document.getElementById('filter-panel');
     if (!filterPanel) return;
     
-    // Create filter checkboxes for each category
-    const categories = getCategoryDefinitions();
-    const filterContent = Object.entries(categories).map(([categoryId, categoryDef]) => {
+    // Create filter checkboxes for each category (custom categories get their own section)
+    const categories = categoryDefinitions;
+    const bohemianCategories = Object.entries(categories).filter(([, categoryDef]) => !categoryDef.detractor);
+    const detractorCategories = Object.entries(categories).filter(([, categoryDef]) => categoryDef.detractor);
+    
+    const createCheckbox = (categoryId, categoryDef, className) => `
+        <label class="filter-item">
+            <input type="checkbox" class="${className}" value="${categoryId}" ${activeCategoryFilters.has(categoryId) ? 'checked' : ''}>
+            <span class="filter-icon-large">${escapeHtml(categoryDef.icon)}</span>
+            <span class="filter-name">${escapeHtml(categoryDef.name)}</span>
+        </label>
+    `;
+    const filterContent = bohemianCategories
+        .filter(([, categoryDef]) => !categoryDef.custom)
+        .map(([categoryId, categoryDef]) => createCheckbox(categoryId, categoryDef, 'category-checkbox'))
+        .join('');
+    const customContent = bohemianCategories
+        .filter(([, categoryDef]) => categoryDef.custom)
+        .map(([categoryId, categoryDef]) => `
+            <div class="custom-category-item">
+                ${createCheckbox(categoryId, categoryDef, 'category-checkbox')}
+                <button class="custom-category-action" data-action="edit" data-category-id="${categoryId}" aria-label="Edit ${escapeHtml(categoryDef.name)}">✏️</button>
+                <button class="custom-category-action" data-action="delete" data-category-id="${categoryId}" aria-label="Delete ${escapeHtml(categoryDef.name)}">🗑️</button>
+            </div>
+        `)
+        .join('');
+    const detractorContent = detractorCategories
+        .map(([categoryId, categoryDef]) => createCheckbox(categoryId, categoryDef, 'detractor-checkbox'))
+        .join('');
+
+    // Weekdays listed from Monday, as in the opening hours themselves
+    const dayOptions = [1, 2, 3, 4, 5, 6, 0].map(day => `
+        <option value="${day}" ${openingHoursFilter.day === day ? 'selected' : ''}>${WEEKDAY_NAMES[day]}</option>
+    `).join('');
+    const createHoursMode = (mode, label) => `
+        <label class="filter-item">
+            <input type="radio" name="hours-mode" class="hours-mode-radio" value="${mode}" ${openingHoursFilter.mode === mode ? 'checked' : ''}>
+            <span class="filter-name">${label}</span>
+        </label>
+    `;
+
+    const attributeContent = ATTRIBUTE_FILTERS.map(attribute => `
+        <label class="filter-item">
+            <input type="checkbox" class="attribute-checkbox" value="${attribute.id}" ${activeAttributeFilters.has(attribute.id) ? 'checked' : ''}>
+            <span class="filter-icon-large">${attribute.icon}</span>
+            <span class="filter-name">${attribute.name}</span>
+            <span class="attribute-count" data-attribute-id="${attribute.id}"></span>
+        </label>
+    `).join('');
+
+    // Create a weight slider for each bohemian category
+    const weightContent = bohemianCategories.map(([categoryId, categoryDef]) => {
+        const weight = getCategoryWeight(categoryId);
         return `
-            <label class="filter-item">
-                <input type="checkbox" class="category-checkbox" value="${categoryId}" checked>
-                <span class="filter-icon-large">${categoryDef.icon}</span>
-                <span class="filter-name">${categoryDef.name}</span>
-            </label>
+            <div class="weight-item">
+                <label class="weight-label" for="weight-${categoryId}">
+                    <span class="filter-icon-large">${escapeHtml(categoryDef.icon)}</span>
+                    <span class="filter-name">${escapeHtml(categoryDef.name)}</span>
+                    <span class="weight-value" data-category-id="${categoryId}">${weight}</span>
+                </label>
+                <input type="range" id="weight-${categoryId}" class="weight-slider" data-category-id="${categoryId}"
+                       min="0" max="${MAX_CATEGORY_WEIGHT}" step="1" value="${weight}">
+            </div>
         `;
     }).join('');
-    
+
     filterPanel.innerHTML = `
         <div class="filter-panel-header">
             <h3>Filter Categories</h3>
             <button class="filter-close-btn" aria-label="Close filters">×</button>
         </div>
         <div class="filter-panel-content">
-            <p class="filter-note">Note: The heat map and Neighborhood Score always reflect all categories, regardless of filter selection.</p>
+            <p class="filter-note">The heat map and Neighborhood Score only count the categories selected below.</p>
             <div class="select-all-container">
                 <label class="filter-item select-all-item">
                     <input type="checkbox" class="select-all-checkbox" checked>
@@ -504,6 +448,58 @@ function initializeFilterPanel() {
             </div>
             <div class="filter-divider"></div>
             ${filterContent}
+            <div class="filter-divider"></div>
+            <h4 class="filter-section-title">Detractors</h4>
+            <p class="filter-note">Chains and big-box stores always lower the score by the penalty weight. Check them to show their markers.</p>
+            ${detractorContent}
+            <div class="filter-divider"></div>
+            <h4 class="filter-section-title">Opening Hours</h4>
+            <p class="filter-note">Hide places that are closed at a given time. Places whose hours are not listed (or use syntax the map can't read) stay on the map unless you hide them too.</p>
+            ${createHoursMode('any', 'Any time')}
+            ${createHoursMode('now', 'Open now')}
+            ${createHoursMode('at', 'Open at…')}
+            <div class="hours-at-fields">
+                <select class="hours-day" aria-label="Day">${dayOptions}</select>
+                <input type="time" class="hours-time" aria-label="Time" value="${openingHoursFilter.time}">
+            </div>
+            <label class="filter-item">
+                <input type="checkbox" class="hours-option-checkbox" data-option="hideUnknown" ${openingHoursFilter.hideUnknown ? 'checked' : ''}>
+                <span class="filter-name">Also hide places without listed hours</span>
+            </label>
+            <label class="filter-item">
+                <input type="checkbox" class="hours-option-checkbox" data-option="scoreOpenOnly" ${openingHoursFilter.scoreOpenOnly ? 'checked' : ''}>
+                <span class="filter-name">Only count open places in the heat map</span>
+            </label>
+            <button class="hours-preset-btn">🌙 Friday night heat map</button>
+            <p class="hours-summary" aria-live="polite"></p>
+            <div class="filter-divider"></div>
+            <h4 class="filter-section-title">Features</h4>
+            <p class="filter-note">Show only places with every feature checked, as tagged in OpenStreetMap. The numbers count the places shown by the filters above that have each feature; places where it isn't tagged are hidden.</p>
+            ${attributeContent}
+            <label class="filter-item">
+                <input type="checkbox" class="attribute-score-checkbox" ${attributeFiltersApplyToScores ? 'checked' : ''}>
+                <span class="filter-name">Only count these places in the heat map</span>
+            </label>
+            <div class="filter-divider"></div>
+            <h4 class="filter-section-title">Custom Categories</h4>
+            <p class="filter-note">Create your own categories from OSM tags. They match the tags of businesses already in the data, are saved in this browser, and count toward the score like the built-in categories.</p>
+            ${customContent}
+            <button class="custom-category-add-btn">+ Add custom category</button>
+            <div class="filter-divider"></div>
+            <h4 class="filter-section-title">Bohemian Score Weights</h4>
+            <p class="filter-note">Set how much each category counts toward the score. A weight of 0 leaves the category out.</p>
+            ${weightContent}
+            <div class="weight-item penalty-item">
+                <label class="weight-label" for="detractor-penalty">
+                    <span class="filter-icon-large">⛔</span>
+                    <span class="filter-name">Detractor penalty</span>
+                    <span class="penalty-value">${detractorPenaltyWeight}</span>
+                </label>
+                <input type="range" id="detractor-penalty" class="penalty-slider"
+                       min="0" max="${MAX_CATEGORY_WEIGHT}" step="1" value="${detractorPenaltyWeight}">
+            </div>
+            <p class="filter-note penalty-note" hidden>This data has no chain or big-box store businesses, so the penalty has no effect. They are added when the data is refreshed with <code>node fetch-data.js</code>.</p>
+            <button class="weights-reset-btn">Reset weights</button>
         </div>
     `;
     
@@ -532,6 +528,8 @@ function initializeFilterPanel() {
             }
         });
         refreshBusinessMarkers();
+        scheduleScoreUpdate();
+        updateUrlState(true);
     });
     
     // Add event listeners for category checkboxes
@@ -545,14 +543,129 @@ function initializeFilterPanel() {
             }
             // Update select all state
             updateSelectAll();
-            // Refresh markers
+            // Refresh markers and heat map
             refreshBusinessMarkers();
+            scheduleScoreUpdate();
+            updateUrlState(true);
         });
     });
     
     // Initialize select all state
     updateSelectAll();
     
+    // Detractor checkboxes only toggle markers; the penalty applies either way
+    filterPanel.querySelectorAll('.detractor-checkbox').forEach(checkbox => {
+        checkbox.addEventListener('change', (e) => {
+            const categoryId = e.target.value;
+            if (e.target.checked) {
+                activeCategoryFilters.add(categoryId);
+            } else {
+                activeCategoryFilters.delete(categoryId);
+            }
+            refreshBusinessMarkers();
+            updateUrlState(true);
+        });
+    });
+
+    // Weight sliders recalculate the heat map as they move
+    const weightSliders = filterPanel.querySelectorAll('.weight-slider');
+    weightSliders.forEach(slider => {
+        slider.addEventListener('input', (e) => {
+            const categoryId = e.target.dataset.categoryId;
+            setCategoryWeight(categoryId, Number(e.target.value));
+            scheduleScoreUpdate();
+            updateUrlState(true);
+        });
+    });
+
+    const penaltySlider = filterPanel.querySelector('.penalty-slider');
+    penaltySlider.addEventListener('input', (e) => {
+        setDetractorPenalty(Number(e.target.value));
+        scheduleScoreUpdate();
+        updateUrlState(true);
+    });
+    updateDetractorPenaltyStatus();
+
+    // Opening hours: the mode, day and time decide what "open" means; the checkboxes what to do about it
+    const hoursDay = filterPanel.querySelector('.hours-day');
+    const hoursTime = filterPanel.querySelector('.hours-time');
+    const updateHoursFields = () => {
+        const isAt = openingHoursFilter.mode === 'at';
+        hoursDay.disabled = !isAt;
+        hoursTime.disabled = !isAt;
+    };
+    const readHoursFilter = () => {
+        setOpeningHoursFilter({
+            mode: filterPanel.querySelector('.hours-mode-radio:checked').value,
+            day: Number(hoursDay.value),
+            time: hoursTime.value || openingHoursFilter.time
+        });
+        updateHoursFields();
+    };
+    filterPanel.querySelectorAll('.hours-mode-radio').forEach(radio => radio.addEventListener('change', readHoursFilter));
+    hoursDay.addEventListener('change', readHoursFilter);
+    hoursTime.addEventListener('change', readHoursFilter);
+    filterPanel.querySelectorAll('.hours-option-checkbox').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            setOpeningHoursFilter({ [checkbox.dataset.option]: checkbox.checked });
+        });
+    });
+    // Friday night: count only the places open on Friday at 9 PM
+    filterPanel.querySelector('.hours-preset-btn').addEventListener('click', () => {
+        filterPanel.querySelector('.hours-mode-radio[value="at"]').checked = true;
+        hoursDay.value = FRIDAY_NIGHT.day;
+        hoursTime.value = FRIDAY_NIGHT.time;
+        filterPanel.querySelector('.hours-option-checkbox[data-option="scoreOpenOnly"]').checked = true;
+        setOpeningHoursFilter({ mode: 'at', ...FRIDAY_NIGHT, scoreOpenOnly: true });
+        updateHoursFields();
+    });
+    updateHoursFields();
+    updateOpeningHoursSummary();
+
+    // Attribute filters narrow the markers, and the heat map too when asked
+    filterPanel.querySelectorAll('.attribute-checkbox').forEach(checkbox => {
+        checkbox.addEventListener('change', (e) => {
+            const attributeIds = new Set(activeAttributeFilters);
+            if (e.target.checked) {
+                attributeIds.add(e.target.value);
+            } else {
+                attributeIds.delete(e.target.value);
+            }
+            setAttributeFilters(attributeIds, attributeFiltersApplyToScores);
+        });
+    });
+    filterPanel.querySelector('.attribute-score-checkbox').addEventListener('change', (e) => {
+        setAttributeFilters(activeAttributeFilters, e.target.checked);
+    });
+    updateAttributeCounts();
+
+    // Reset all weights to the default
+    filterPanel.querySelector('.weights-reset-btn')?.addEventListener('click', () => {
+        weightSliders.forEach(slider => {
+            slider.value = DEFAULT_CATEGORY_WEIGHT;
+            setCategoryWeight(slider.dataset.categoryId, DEFAULT_CATEGORY_WEIGHT);
+        });
+        penaltySlider.value = DEFAULT_DETRACTOR_PENALTY;
+        setDetractorPenalty(DEFAULT_DETRACTOR_PENALTY);
+        scheduleScoreUpdate();
+        updateUrlState(true);
+    });
+
+    // Custom category editing
+    filterPanel.querySelector('.custom-category-add-btn')?.addEventListener('click', () => {
+        openCustomCategoryEditor();
+    });
+    filterPanel.querySelectorAll('.custom-category-action').forEach(button => {
+        button.addEventListener('click', () => {
+            const categoryId = button.dataset.categoryId;
+            if (button.dataset.action === 'edit') {
+                openCustomCategoryEditor(categoryId);
+            } else if (confirm(`Delete the custom category "${categoryDefinitions[categoryId].name}"?`)) {
+                deleteCustomCategory(categoryId);
+            }
+        });
+    });
+
     // Close button
     filterPanel.querySelector('.filter-close-btn')?.addEventListener('click', () => {
         toggleFilterPanel();
@@ -589,15 +702,45 @@ function toggleFilterPanel() {
     }
 }
 
+// Get the Bohemian Score weight for a category
+function getCategoryWeight(categoryId) {
+    return categoryWeights[categoryId] ?? DEFAULT_CATEGORY_WEIGHT;
+}
+
+// Set the Bohemian Score weight for a category and update its slider label
+function setCategoryWeight(categoryId, weight) {
+    categoryWeights[categoryId] = Math.min(Math.max(weight, 0), MAX_CATEGORY_WEIGHT);
+    const label = document.querySelector(`.weight-value[data-category-id="${categoryId}"]`);
+    if (label) {
+        label.textContent = categoryWeights[categoryId];
+    }
+}
+
+// Set the detractor penalty weight and update its slider label
+function setDetractorPenalty(weight) {
+    detractorPenaltyWeight = Math.min(Math.max(weight, 0), MAX_CATEGORY_WEIGHT);
+    const label = document.querySelector('.penalty-value');
+    if (label) {
+        label.textContent = detractorPenaltyWeight;
+    }
+}
+
+// Recalculate scores shortly after the last weight change
+function scheduleScoreUpdate() {
+    clearTimeout(scoreUpdateTimer);
+    scoreUpdateTimer = setTimeout(updateHeatMap, SCORE_UPDATE_DELAY_MS);
+}
+
 // Add business markers based on active filters
 function addBusinessMarkers() {
     // Clear existing markers
     businessMarkers.clearLayers();
+    businessMarkersByBusiness = new Map();
     
-    // Add markers for businesses in active categories
+    // Add one marker per business in any active category
     allBusinesses.forEach(business => {
-        if (activeCategoryFilters.has(business.category)) {
-            const categoryDef = categoryDefinitions[business.category];
+        if (isBusinessVisible(business)) {
+            const categoryDef = categoryDefinitions[getMarkerCategory(business)];
             if (!categoryDef) return;
             
             // Create colored marker based on category
@@ -605,14 +748,16 @@ function addBusinessMarkers() {
                 title: business.name,
                 icon: L.divIcon({
                     className: 'custom-marker',
-                    html: `<div style="background-color: ${categoryDef.color}; color: white; border-radius: 50%; width: 24px; height: 24px; display: flex; align-items: center; justify-content: center; font-size: 14px; border: 2px solid white; box-shadow: 0 2px 4px rgba(0,0,0,0.3);">${categoryDef.icon}</div>`,
+                    html: `<div style="background-color: ${categoryDef.color}; color: white; border-radius: 50%; width: 24px; height: 24px; display: flex; align-items: center; justify-content: center; font-size: 14px; border: 2px solid white; box-shadow: 0 2px 4px rgba(0,0,0,0.3);">${escapeHtml(categoryDef.icon)}</div>`,
                     iconSize: [24, 24],
                     iconAnchor: [12, 12]
                 })
             });
             
-            marker.bindPopup(createBusinessPopup(business));
+            // Built when opened, so the open or closed state is current
+            marker.bindPopup(() => createBusinessPopup(business));
             businessMarkers.addLayer(marker);
+            businessMarkersByBusiness.set(business, marker);
         }
     });
 }
@@ -620,21 +765,183 @@ function addBusinessMarkers() {
 // Refresh business markers when filters change
 function refreshBusinessMarkers() {
     addBusinessMarkers();
+    updateOpeningHoursSummary();
+    updateAttributeCounts();
+    updateDetractorPenaltyStatus();
+}
+
+// Check if a business passes the filter panel (shown on the map and included in exports):
+// it is visible when any of its categories is selected and it passes the opening hours and attribute filters
+function isBusinessVisible(business) {
+    return business.categories.some(categoryId => activeCategoryFilters.has(categoryId)) &&
+        isBusinessOpenForFilter(business) &&
+        hasActiveAttributes(business);
+}
+
+// Check a business has every attribute selected in the filter panel
+function hasActiveAttributes(business) {
+    return ATTRIBUTE_FILTERS.every(attribute => !activeAttributeFilters.has(attribute.id) || attribute.test(business.tags));
+}
+
+// Update the attribute filters, rescoring the heat map when it counts only matching places
+// before or after the change
+function setAttributeFilters(attributeIds, applyToScores) {
+    const wasScoringFiltered = isScoringFiltered();
+    activeAttributeFilters = new Set(attributeIds);
+    attributeFiltersApplyToScores = applyToScores;
+    
+    refreshBusinessMarkers();
+    if (wasScoringFiltered || isScoringFiltered()) {
+        buildBusinessIndexes();
+        scheduleScoreUpdate();
+    }
+    updateUrlState(true);
+}
+
+function isScoringAttributesOnly() {
+    return attributeFiltersApplyToScores && activeAttributeFilters.size > 0;
+}
+
+// Count the places each attribute filter would leave among those passing the category and opening hours filters
+function updateAttributeCounts() {
+    const labels = document.querySelectorAll('.attribute-count');
+    if (labels.length === 0) return;
+    
+    const candidates = allBusinesses.filter(business =>
+        business.categories.some(categoryId => activeCategoryFilters.has(categoryId)) && isBusinessOpenForFilter(business));
+    labels.forEach(label => {
+        const attribute = ATTRIBUTE_FILTERS.find(item => item.id === label.dataset.attributeId);
+        label.textContent = candidates.filter(business => attribute.test(business.tags)).length;
+    });
+}
+
+// The penalty only acts through detractor businesses, so disable it when the data has none
+// (files built before the detractor categories existed)
+function updateDetractorPenaltyStatus() {
+    const slider = document.querySelector('.penalty-slider');
+    const note = document.querySelector('.penalty-note');
+    if (!slider || !note || allBusinesses.length === 0) return;
+    
+    const hasDetractors = allBusinesses.some(business => business.categories.some(isDetractorCategory));
+    slider.disabled = !hasDetractors;
+    note.hidden = hasDetractors;
+}
+
+// Update the opening hours filter. Markers always follow it; the heat map is rescored
+// when it counts only open places, before or after the change.
+function setOpeningHoursFilter(changes) {
+    const wasScoringOpenOnly = isScoringOpenPlacesOnly();
+    openingHoursFilter = { ...openingHoursFilter, ...changes };
+    applyOpeningHoursFilter(wasScoringOpenOnly || isScoringOpenPlacesOnly());
+    updateOpenNowTimer();
+    updateUrlState(true);
+}
+
+// "Open now" moves with the clock, so re-check it regularly while it is selected
+function updateOpenNowTimer() {
+    clearInterval(openNowTimer);
+    openNowTimer = openingHoursFilter.mode === 'now' ?
+        setInterval(() => applyOpeningHoursFilter(isScoringOpenPlacesOnly()), OPEN_NOW_REFRESH_MS) :
+        null;
+}
+
+// Re-check every business at the filter time, rebuilding the scored businesses if asked
+function applyOpeningHoursFilter(rescore) {
+    openingHoursFilterTime = getOpeningHoursFilterTime();
+    refreshBusinessMarkers();
+    if (rescore) {
+        buildBusinessIndexes();
+        scheduleScoreUpdate();
+    }
+}
+
+// Time the opening hours filter checks, on the city's clock (see OPENING_HOURS.getLocalTime): now,
+// or the next time the chosen weekday and time come round there
+function getOpeningHoursFilterTime() {
+    if (openingHoursFilter.mode === 'any') return null;
+    
+    const now = OPENING_HOURS.getLocalTime(new Date(), currentCity.timeZone);
+    if (openingHoursFilter.mode === 'now') return now;
+    
+    const [hours, minutes] = openingHoursFilter.time.split(':').map(Number);
+    const weekday = new Date(Date.UTC(now.year, now.month, now.day)).getUTCDay();
+    return {
+        year: now.year,
+        month: now.month,
+        day: now.day + (openingHoursFilter.day - weekday + 7) % 7,
+        minute: hours * 60 + minutes
+    };
+}
+
+// Check a business against the opening hours filter; places whose state is unknown
+// (no opening_hours tag, or syntax opening-hours.js can't read) pass unless hidden
+function isBusinessOpenForFilter(business) {
+    if (!openingHoursFilterTime) return true;
+    
+    const state = OPENING_HOURS.getOpenState(business.tags.opening_hours, openingHoursFilterTime);
+    return state === 'open' || (state === 'unknown' && !openingHoursFilter.hideUnknown);
+}
+
+function isScoringOpenPlacesOnly() {
+    return openingHoursFilter.scoreOpenOnly && openingHoursFilter.mode !== 'any';
 }
 
-// Create popup content for business
+// Whether the heat map leaves out places filtered out by the opening hours or attribute filters
+function isScoringFiltered() {
+    return isScoringOpenPlacesOnly() || isScoringAttributesOnly();
+}
+
+// Businesses the heat map counts: all of them, or only those passing the filters set to apply to scoring
+function getScoredBusinesses() {
+    if (!isScoringFiltered()) return allBusinesses;
+    
+    return allBusinesses.filter(business =>
+        (!isScoringOpenPlacesOnly() || isBusinessOpenForFilter(business)) &&
+        (!isScoringAttributesOnly() || hasActiveAttributes(business)));
+}
+
+// Count open, closed and unknown places among the selected categories at the filter time
+function updateOpeningHoursSummary() {
+    const summary = document.querySelector('.hours-summary');
+    if (!summary) return;
+    
+    if (!openingHoursFilterTime) {
+        summary.textContent = '';
+        return;
+    }
+    
+    const counts = { open: 0, closed: 0, unknown: 0 };
+    allBusinesses.forEach(business => {
+        if (business.categories.some(categoryId => activeCategoryFilters.has(categoryId))) {
+            counts[OPENING_HOURS.getOpenState(business.tags.opening_hours, openingHoursFilterTime)]++;
+        }
+    });
+    const { year, month, day, minute } = openingHoursFilterTime;
+    const when = openingHoursFilter.mode === 'now' ?
+        'Now' :
+        new Date(Date.UTC(year, month, day, 0, minute))
+            .toLocaleString([], { timeZone: 'UTC', weekday: 'long', hour: 'numeric', minute: '2-digit' });
+    summary.textContent = `${when}: ${counts.open} open, ${counts.closed} closed, ${counts.unknown} without readable hours`;
+}
+
+// Category whose icon and color a business's marker uses: its first selected category,
+// so a vegan cafe keeps the vegan icon unless only coffee shops are shown
+function getMarkerCategory(business) {
+    return business.categories.find(categoryId => activeCategoryFilters.has(categoryId)) || business.categories[0];
+}
+
+// Create popup content for business from its stored OSM tags
 function createBusinessPopup(business) {
     const tags = business.tags;
     const name = tags.name || 'Unnamed Business';
-    const categoryDef = categoryDefinitions[business.category];
-    const categoryName = categoryDef ? categoryDef.name : 'Unknown';
-    const addr = tags['addr:street'] ? 
-        `${tags['addr:street']}${tags['addr:housenumber'] ? ' ' + tags['addr:housenumber'] : ''}` : '';
+    const categoryNames = business.categories
+        .map(categoryId => categoryDefinitions[categoryId]?.name)
+        .filter(Boolean);
     
     let html = `<div class="popup-title">${escapeHtml(name)}</div>`;
-    html += `<div class="popup-info"><strong>Category:</strong> ${escapeHtml(categoryName)}</div>`;
+    html += `<div class="popup-info"><strong>${categoryNames.length > 1 ? 'Categories' : 'Category'}:</strong> ${escapeHtml(categoryNames.join(', ') || 'Unknown')}</div>`;
     
-    if (business.category === 'vegan-restaurants') {
+    if (business.categories.includes('vegan-restaurants')) {
         const hasVeganDiet = tags['diet:vegan'] === 'yes' || tags['diet:vegan'] === 'only';
         const veganType = hasVeganDiet ? 
             (tags['diet:vegan'] === 'only' ? 'Vegan Only' : 'Vegan Options') : 
@@ -642,21 +949,132 @@ function createBusinessPopup(business) {
         html += `<div class="popup-info"><strong>${veganType}</strong></div>`;
     }
     
+    const details = [];
     if (tags.cuisine) {
-        html += `<div class="popup-info">Cuisine: ${escapeHtml(tags.cuisine)}</div>`;
+        details.push(['🍽️', escapeHtml(formatTagList(tags.cuisine))]);
     }
     
-    if (addr) {
-        html += `<div class="popup-info">${escapeHtml(addr)}</div>`;
+    const addressLines = formatAddress(tags);
+    if (addressLines.length > 0) {
+        details.push(['📍', addressLines.map(escapeHtml).join('<br>')]);
     }
     
-    if (tags.website) {
-        html += `<div class="popup-info"><a href="${tags.website}" target="_blank">Visit Website</a></div>`;
+    if (tags.opening_hours) {
+        const state = OPENING_HOURS.getOpenState(tags.opening_hours, OPENING_HOURS.getLocalTime(new Date(), currentCity.timeZone));
+        const stateLabel = state === 'unknown' ? '' :
+            `<span class="popup-open-state ${state}">${state === 'open' ? 'Open now' : 'Closed now'}</span><br>`;
+        details.push(['🕒', stateLabel + tags.opening_hours.split(';').map(rule => escapeHtml(rule.trim())).join('<br>')]);
+    }
+    
+    const phones = (tags.phone || tags['contact:phone'] || '').split(';').map(phone => phone.trim()).filter(Boolean);
+    if (phones.length > 0) {
+        details.push(['📞', phones
+            .map(phone => `<a href="tel:${phone.replace(/[^+\d]/g, '')}">${escapeHtml(phone)}</a>`)
+            .join('<br>')]);
+    }
+    
+    const websiteUrl = getWebsiteUrl(tags.website || tags['contact:website']);
+    if (websiteUrl) {
+        details.push(['🌐', `<a href="${websiteUrl}" target="_blank" rel="noopener noreferrer">Visit Website</a>`]);
+    }
+    
+    if (details.length > 0) {
+        html += `<div class="popup-details">${details.map(([icon, content]) => `
+            <div class="popup-detail"><span class="popup-detail-icon" aria-hidden="true">${icon}</span><span>${content}</span></div>
+        `).join('')}</div>`;
+    }
+    
+    const features = getBusinessFeatures(tags);
+    if (features.length > 0) {
+        html += `<div class="popup-tags">${features.map(feature => `<span class="popup-tag">${feature}</span>`).join('')}</div>`;
+    }
+    
+    const footer = [];
+    if (tags.check_date) {
+        footer.push(`Checked ${escapeHtml(formatCheckDate(tags.check_date))}`);
+    }
+    const osmUrl = getOsmUrl(business);
+    if (osmUrl) {
+        footer.push(`<a href="${osmUrl}" target="_blank" rel="noopener noreferrer">View on OpenStreetMap</a>`);
+    }
+    if (footer.length > 0) {
+        html += `<div class="popup-footer">${footer.join(' · ')}</div>`;
     }
     
     return html;
 }
 
+// Turn a semicolon-separated tag value such as "pizza;ice_cream" into "Pizza, Ice cream"
+function formatTagList(value) {
+    return value
+        .split(';')
+        .map(item => item.trim().replace(/_/g, ' '))
+        .filter(Boolean)
+        .map(item => item.charAt(0).toUpperCase() + item.slice(1))
+        .join(', ');
+}
+
+// Address as display lines: "721 Northwest 9th Avenue #150" and "Portland, OR 97209"
+function formatAddress(tags) {
+    const street = [tags['addr:housenumber'], tags['addr:street']].filter(Boolean).join(' ');
+    const unit = tags['addr:unit'] ? ` #${tags['addr:unit'].replace(/^#/, '')}` : '';
+    const cityState = [tags['addr:city'], tags['addr:state']].filter(Boolean).join(', ');
+    const locality = [cityState, tags['addr:postcode']].filter(Boolean).join(' ');
+    
+    return [street ? street + unit : '', locality].filter(Boolean);
+}
+
+// A website tag as a safe http(s) link target, adding https:// when the scheme is missing
+function getWebsiteUrl(value) {
+    if (!value) return null;
+    const url = /^[a-z][a-z\d+.-]*:/i.test(value.trim()) ? value.trim() : `https://${value.trim()}`;
+    if (!/^https?:\/\//i.test(url)) return null;
+    return escapeHtml(url).replace(/"/g, '%22');
+}
+
+// Accessibility and amenity badges from the yes/no/limited/only tags
+function getBusinessFeatures(tags) {
+    const features = [];
+    const wheelchair = {
+        yes: '♿ Wheelchair accessible',
+        limited: '♿ Limited wheelchair access',
+        no: '♿ Not wheelchair accessible'
+    }[tags.wheelchair];
+    if (wheelchair) features.push(wheelchair);
+    
+    if (tags.outdoor_seating === 'yes') features.push('🌳 Outdoor seating');
+    
+    const glutenFree = {
+        yes: '🌾 Gluten-free options',
+        only: '🌾 Gluten-free only'
+    }[tags['diet:gluten_free']];
+    if (glutenFree) features.push(glutenFree);
+    
+    return features;
+}
+
+// Format an OSM check_date (YYYY-MM-DD, or just YYYY-MM) for display
+function formatCheckDate(value) {
+    const match = /^(\d{4})-(\d{2})(?:-(\d{2}))?$/.exec(value.trim());
+    if (!match) return value;
+    const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3] || 1));
+    return date.toLocaleDateString(undefined, match[3] ?
+        { year: 'numeric', month: 'short', day: 'numeric' } :
+        { year: 'numeric', month: 'short' });
+}
+
+// Link to the business's node, way or relation on openstreetmap.org (older data files without
+// the OSM type link to its location instead)
+function getOsmUrl(business) {
+    if (['node', 'way', 'relation'].includes(business.osmType)) {
+        return `https://www.openstreetmap.org/${business.osmType}/${Number(business.id)}`;
+    }
+    if (Number.isFinite(business.lat) && Number.isFinite(business.lon)) {
+        return `https://www.openstreetmap.org/?mlat=${business.lat}&amp;mlon=${business.lon}#map=19/${business.lat}/${business.lon}`;
+    }
+    return null;
+}
+
 // Show welcome modal on page load
 function showWelcomeModal() {
     const modal = document.getElementById('welcome-modal');
@@ -699,42 +1117,309 @@ function closeWelcomeModal() {
     modal.classList.remove('active');
 }
 
-// Load all data from APIs or cached JSON
-async function loadData() {
-    const loadingOverlay = document.getElementById('loading-overlay');
+// Initialize category definitions, filters and weights
+function initializeCategories() {
+    customCategories = loadCustomCategories();
+    categoryDefinitions = { ...getCategoryDefinitions(), ...getCustomCategoryDefinitions() };
     
+    // Initialize all bohemian categories as active; detractor markers are opt-in
+    getDefaultCategoryFilters().forEach(cat => activeCategoryFilters.add(cat));
+
+    // Start every category at the default weight
+    Object.keys(categoryDefinitions).forEach(cat => {
+        categoryWeights[cat] = DEFAULT_CATEGORY_WEIGHT;
+    });
+}
+
+// Read the custom categories saved in this browser, skipping any that are malformed
+function loadCustomCategories() {
     try {
-        loadingOverlay.classList.remove('hidden');
-        
-        // Initialize category definitions
-        categoryDefinitions = getCategoryDefinitions();
-        
-        // Initialize all categories as active
-        Object.keys(categoryDefinitions).forEach(cat => activeCategoryFilters.add(cat));
-        
-        // Try to load from cached JSON file first
-        try {
-            const response = await fetch('businesses-data.json');
-            if (response.ok) {
-                const data = await response.json();
-                allBusinesses = data.businesses || [];
-                console.log(`Loaded ${allBusinesses.length} businesses from cached data (generated: ${data.metadata?.generatedAt || 'unknown'})`);
-                
-                // If we have cached data, use it and skip API calls
-                if (allBusinesses.length > 0) {
-                    gridCells = generateGridCells();
-                    return; // Successfully loaded from cache
-                }
-            }
-        } catch (e) {
+        const saved = JSON.parse(localStorage.getItem(CUSTOM_CATEGORY_STORAGE_KEY) || '[]');
+        return Array.isArray(saved) ? saved.filter(isValidCustomCategory) : [];
+    } catch (error) {
+        console.warn('Could not read custom categories:', error);
+        return [];
+    }
+}
+
+// Save the custom categories to localStorage
+function saveCustomCategories() {
+    try {
+        localStorage.setItem(CUSTOM_CATEGORY_STORAGE_KEY, JSON.stringify(customCategories));
+    } catch (error) {
+        console.warn('Could not save custom categories:', error);
+    }
+}
+
+// Check a saved custom category has everything the map, filters and scoring need
+function isValidCustomCategory(category) {
+    const rules = category?.match?.any || category?.match?.all;
+    return typeof category?.id === 'string' &&
+           category.id.startsWith(CUSTOM_CATEGORY_ID_PREFIX) &&
+           typeof category.name === 'string' && category.name.trim() !== '' &&
+           /^#[0-9a-f]{6}$/i.test(category.color) &&
+           Array.isArray(rules) && rules.length > 0;
+}
+
+// Check if a category was defined by the user rather than in categories.js
+function isCustomCategory(categoryId) {
+    return categoryId.startsWith(CUSTOM_CATEGORY_ID_PREFIX);
+}
+
+// Category definitions for the custom categories, shaped like the built-in ones
+function getCustomCategoryDefinitions() {
+    const definitions = {};
+    customCategories.forEach(category => {
+        definitions[category.id] = {
+            name: category.name,
+            icon: category.icon || CUSTOM_CATEGORY_DEFAULT_ICON,
+            color: category.color,
+            match: category.match,
+            custom: true
+        };
+    });
+    return definitions;
+}
+
+// Count the businesses in the current data whose stored tags pass a match rule
+function countCustomCategoryMatches(match) {
+    return allBusinesses
+        .filter(business => CATEGORY_CONFIG.matchesRule(match, business.tags || {}))
+        .length;
+}
+
+// Add each business to the custom categories its stored OSM tags match
+function applyCustomCategories() {
+    allBusinesses.forEach(business => {
+        const builtInCategories = business.categories.filter(categoryId => !isCustomCategory(categoryId));
+        const customCategoryIds = customCategories
+            .filter(category => CATEGORY_CONFIG.matchesRule(category.match, business.tags || {}))
+            .map(category => category.id);
+        business.categories = builtInCategories.concat(customCategoryIds);
+    });
+}
+
+// Add or replace a custom category
+function saveCustomCategory(category) {
+    const index = customCategories.findIndex(existing => existing.id === category.id);
+    if (index === -1) {
+        customCategories.push(category);
+        activeCategoryFilters.add(category.id);
+    } else {
+        customCategories[index] = category;
+    }
+    saveCustomCategories();
+    refreshCustomCategories();
+}
+
+// Remove a custom category along with its filter and weight
+function deleteCustomCategory(categoryId) {
+    customCategories = customCategories.filter(category => category.id !== categoryId);
+    activeCategoryFilters.delete(categoryId);
+    delete categoryWeights[categoryId];
+    saveCustomCategories();
+    refreshCustomCategories();
+}
+
+// Rebuild everything that depends on the category list after a custom category changes
+function refreshCustomCategories() {
+    categoryDefinitions = { ...getCategoryDefinitions(), ...getCustomCategoryDefinitions() };
+    applyCustomCategories();
+    renderDataStatus();
+    buildBusinessIndexes();
+    initializeFilterPanel();
+    refreshBusinessMarkers();
+    scheduleScoreUpdate();
+    updateUrlState(true);
+}
+
+// Wire up the custom category editor dialog
+function initializeCustomCategoryEditor() {
+    const modal = document.getElementById('custom-category-modal');
+    const form = document.getElementById('custom-category-form');
+    if (!modal || !form) return;
+    
+    modal.querySelector('.modal-overlay').addEventListener('click', closeCustomCategoryEditor);
+    modal.querySelector('.modal-close').addEventListener('click', closeCustomCategoryEditor);
+    form.querySelector('.custom-category-cancel').addEventListener('click', closeCustomCategoryEditor);
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && modal.classList.contains('active')) {
+            closeCustomCategoryEditor();
+        }
+    });
+    
+    form.querySelector('.rule-add-btn').addEventListener('click', () => {
+        addCustomCategoryRuleRow();
+        updateCustomCategoryPreview();
+    });
+    form.querySelector('.rule-list').addEventListener('click', (e) => {
+        const removeButton = e.target.closest('.rule-remove-btn');
+        if (!removeButton) return;
+        removeButton.closest('.rule-row').remove();
+        updateCustomCategoryPreview();
+    });
+    
+    // Show how many businesses the rules match while they are edited
+    form.addEventListener('input', updateCustomCategoryPreview);
+    form.addEventListener('change', updateCustomCategoryPreview);
+    
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const category = readCustomCategoryForm();
+        if (!category) {
+            form.querySelector('.custom-category-preview').textContent =
+                'Add a name and at least one rule with a tag (and values, unless checking whether it is set).';
+            return;
+        }
+        saveCustomCategory(category);
+        closeCustomCategoryEditor();
+    });
+}
+
+// Open the editor for a new custom category, or for an existing one by id
+function openCustomCategoryEditor(categoryId = null) {
+    const modal = document.getElementById('custom-category-modal');
+    const form = document.getElementById('custom-category-form');
+    const category = customCategories.find(existing => existing.id === categoryId);
+    
+    editingCustomCategoryId = category ? category.id : null;
+    form.querySelector('.modal-title').textContent = category ? 'Edit Custom Category' : 'New Custom Category';
+    form.elements.name.value = category ? category.name : '';
+    form.elements.icon.value = category ? category.icon : CUSTOM_CATEGORY_DEFAULT_ICON;
+    form.elements.color.value = category ? category.color : CUSTOM_CATEGORY_DEFAULT_COLOR;
+    form.elements.combine.value = category?.match.all ? 'all' : 'any';
+    
+    form.querySelector('.rule-list').innerHTML = '';
+    const rules = category ? (category.match.any || category.match.all) : [{}];
+    rules.forEach(rule => addCustomCategoryRuleRow(rule));
+    updateCustomCategoryPreview();
+    
+    modal.classList.add('active');
+    form.elements.name.focus();
+}
+
+// Close the custom category editor without saving
+function closeCustomCategoryEditor() {
+    document.getElementById('custom-category-modal').classList.remove('active');
+    editingCustomCategoryId = null;
+}
+
+// Add a tag rule row to the editor, filled in from a saved rule if given
+function addCustomCategoryRuleRow(rule = {}) {
+    const row = document.createElement('div');
+    row.className = 'rule-row';
+    row.innerHTML = `
+        <input type="text" class="rule-tag" placeholder="Tag, e.g. shop" aria-label="OSM tag">
+        <select class="rule-operator" aria-label="Condition">
+            ${Object.entries(CUSTOM_RULE_OPERATORS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+        </select>
+        <input type="text" class="rule-value" placeholder="Values, e.g. tattoo, piercing" aria-label="Values (comma separated)">
+        <button type="button" class="rule-remove-btn" aria-label="Remove rule">×</button>
+    `;
+    
+    // Set values as properties so tag values never need escaping
+    let operator = 'equals';
+    if (rule.exists !== undefined) {
+        operator = rule.exists ? 'exists' : 'missing';
+    } else if (rule.contains !== undefined) {
+        operator = 'contains';
+    }
+    row.querySelector('.rule-tag').value = rule.tag || '';
+    row.querySelector('.rule-operator').value = operator;
+    row.querySelector('.rule-value').value = [].concat(rule.equals ?? rule.contains ?? []).join(', ');
+    
+    document.querySelector('#custom-category-form .rule-list').appendChild(row);
+}
+
+// Read the editor's rule rows into match rules, leaving out incomplete rows
+function readCustomCategoryRules() {
+    const rows = document.querySelectorAll('#custom-category-form .rule-row');
+    return Array.from(rows).map(row => {
+        const tag = row.querySelector('.rule-tag').value.trim();
+        const operator = row.querySelector('.rule-operator').value;
+        const values = row.querySelector('.rule-value').value
+            .split(',')
+            .map(value => value.trim())
+            .filter(Boolean);
+        
+        if (!tag) return null;
+        if (operator === 'exists' || operator === 'missing') {
+            return { tag, exists: operator === 'exists' };
+        }
+        return values.length > 0 ? { tag, [operator]: values } : null;
+    }).filter(Boolean);
+}
+
+// Read the editor into a custom category, or null if it is incomplete
+function readCustomCategoryForm() {
+    const form = document.getElementById('custom-category-form');
+    const name = form.elements.name.value.trim();
+    const rules = readCustomCategoryRules();
+    if (!name || rules.length === 0) return null;
+    
+    return {
+        id: editingCustomCategoryId || `${CUSTOM_CATEGORY_ID_PREFIX}${Date.now().toString(36)}`,
+        name: name,
+        icon: form.elements.icon.value.trim() || CUSTOM_CATEGORY_DEFAULT_ICON,
+        color: form.elements.color.value,
+        match: { [form.elements.combine.value]: rules }
+    };
+}
+
+// Show how many businesses in the current data match the rules being edited
+function updateCustomCategoryPreview() {
+    const form = document.getElementById('custom-category-form');
+    const preview = form.querySelector('.custom-category-preview');
+    const rules = readCustomCategoryRules();
+    
+    if (rules.length === 0) {
+        preview.textContent = 'Add a rule to see how many businesses match.';
+        return;
+    }
+    const count = countCustomCategoryMatches({ [form.elements.combine.value]: rules });
+    preview.textContent = `Matches ${count} ${count === 1 ? 'business' : 'businesses'} in the current data.`;
+}
+
+// Load all data for the current city: the dataset saved in this browser, else the data file,
+// else live from Overpass
+async function loadData() {
+    const loadingOverlay = document.getElementById('loading-overlay');
+    
+    try {
+        loadingOverlay.classList.remove('hidden');
+        allBusinesses = [];
+        dataMetadata = null;
+        dataSource = null;
+        
+        // A dataset saved on an earlier visit starts the map without downloading the data file,
+        // which is checked for an update in the background
+        const savedDataset = await readSavedDataset(currentCity.id);
+        if (savedDataset && useDataset(savedDataset.data, 'saved')) {
+            checkForDatasetUpdate(currentCity, savedDataset.generatedAt);
+            return;
+        }
+
+        // Try to load from cached JSON file first
+        try {
+            const response = await fetch(currentCity.dataFile);
+            if (response.ok) {
+                const data = await response.json();
+                // If we have cached data, use it and skip API calls
+                if (useDataset(data, 'cached')) {
+                    saveDataset(currentCity.id, data);
+                    return; // Successfully loaded from cache
+                }
+            }
+        } catch (e) {
             console.log('No cached data found, fetching from API...');
         }
         
         // Fallback to API if cached data not available
         console.log('Fetching fresh data from Overpass API...');
         allBusinesses = await loadAllBusinesses();
+        dataSource = 'live';
         
-        // Generate grid cells covering Portland
+        // Generate grid cells covering the city
         gridCells = generateGridCells();
         
     } catch (error) {
@@ -745,10 +1430,182 @@ async function loadData() {
     }
 }
 
+// Load the businesses from a data file's contents; false if it has none
+function useDataset(data, source) {
+    // Older data files list a business once per category; merge those into one
+    allBusinesses = CATEGORY_CONFIG.mergeBusinessCategories(data.businesses || []);
+    dataMetadata = data.metadata || null;
+    dataSource = source;
+    console.log(`Loaded ${allBusinesses.length} businesses from ${source} data (generated: ${data.metadata?.generatedAt || 'unknown'})`);
+    
+    if (allBusinesses.length === 0) return false;
+    gridCells = generateGridCells();
+    return true;
+}
+
+// Fetch the city's data file and, if it differs from the saved dataset, save it and offer a reload
+// (revalidated rather than read from the HTTP cache, so an unchanged file is not downloaded again)
+async function checkForDatasetUpdate(city, savedGeneratedAt) {
+    try {
+        const response = await fetch(city.dataFile, { cache: 'no-cache' });
+        if (!response.ok) return;
+        const data = await response.json();
+        const generatedAt = data.metadata?.generatedAt;
+        if (generatedAt && generatedAt !== savedGeneratedAt && data.businesses?.length > 0) {
+            await saveDataset(city.id, data);
+            console.log(`Saved updated ${city.name} data (generated: ${generatedAt})`);
+            if (city.id === currentCity.id) {
+                showDatasetUpdateBanner(city, generatedAt);
+            }
+        }
+    } catch (error) {
+        console.log('Could not check for updated data (offline?):', error.message);
+    }
+}
+
+// Tell the user a newer dataset is ready; reloading the page loads it from IndexedDB
+function showDatasetUpdateBanner(city, generatedAt) {
+    const banner = document.getElementById('data-update-banner');
+    banner.querySelector('.data-update-text').textContent =
+        `Updated ${city.name} data is available (from ${formatDataDate(generatedAt)}).`;
+    banner.classList.remove('hidden');
+}
+
+// Format a dataset's generatedAt timestamp as a date, e.g. "Nov 22, 2025"
+function formatDataDate(generatedAt) {
+    return new Date(generatedAt).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+// Whole days since a dataset was generated
+function getDataAgeDays(generatedAt) {
+    return Math.floor((Date.now() - new Date(generatedAt).getTime()) / (24 * 60 * 60 * 1000));
+}
+
+// Show the dataset's date and business counts per category in the drawer, flagging stale data
+function renderDataStatus() {
+    const status = document.getElementById('data-status');
+    const generatedAt = dataMetadata?.generatedAt || null;
+    const ageDays = generatedAt ? getDataAgeDays(generatedAt) : null;
+    const isStale = ageDays !== null && ageDays > DATA_STALE_AFTER_DAYS;
+    // Keep the category list open if the user had opened it
+    const wasOpen = status.querySelector('.data-status-details')?.open;
+    
+    let summary = 'Data date unknown';
+    if (generatedAt) {
+        summary = `Data from ${formatDataDate(generatedAt)}${dataSource === 'saved' ? ' (saved offline)' : ''}`;
+    } else if (dataSource === 'live') {
+        summary = 'Live data from OpenStreetMap';
+    }
+    
+    const countItems = Object.entries(categoryDefinitions).map(([categoryId, categoryDef]) => {
+        const count = allBusinesses.filter(business => business.categories.includes(categoryId)).length;
+        return `
+            <li class="data-category-count">
+                <span>${escapeHtml(categoryDef.icon)} ${escapeHtml(categoryDef.name)}</span>
+                <span>${count}</span>
+            </li>
+        `;
+    }).join('');
+    
+    status.classList.toggle('stale', isStale);
+    status.innerHTML = `
+        <div class="data-status-summary">
+            <span>📅 ${summary} · ${allBusinesses.length} businesses</span>
+            ${isStale ? `<span class="data-stale-badge" title="The data is more than ${DATA_STALE_AFTER_DAYS} days old, so some places may have opened or closed since">⚠️ ${ageDays} days old</span>` : ''}
+        </div>
+        <details class="data-status-details"${wasOpen ? ' open' : ''}>
+            <summary>Businesses per category</summary>
+            <ul class="data-category-counts">${countItems}</ul>
+        </details>
+    `;
+    
+    // The welcome modal mentions the snapshot date too
+    document.querySelector('.welcome-data-date').textContent = generatedAt ? ` taken on ${formatDataDate(generatedAt)}` : '';
+}
+
+// Open the dataset database, resolving to null where IndexedDB is unavailable or blocked
+function openDatasetDb() {
+    if (!datasetDbPromise) {
+        datasetDbPromise = new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+            const request = indexedDB.open(DATASET_DB_NAME, DATASET_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(DATASET_STORE, { keyPath: ['city', 'generatedAt'] });
+                store.createIndex('city', 'city');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('Could not open the dataset database:', request.error);
+                resolve(null);
+            };
+        });
+    }
+    return datasetDbPromise;
+}
+
+// Newest dataset saved for a city ({ city, generatedAt, savedAt, data }), or null
+async function readSavedDataset(cityId) {
+    try {
+        const db = await openDatasetDb();
+        if (!db) return null;
+        
+        const records = await new Promise((resolve, reject) => {
+            const request = db.transaction(DATASET_STORE).objectStore(DATASET_STORE).index('city').getAll(cityId);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return records.reduce((newest, record) => (!newest || record.generatedAt > newest.generatedAt ? record : newest), null);
+    } catch (error) {
+        console.warn('Could not read the saved dataset:', error);
+        return null;
+    }
+}
+
+// Save a city's dataset in place of any other saved for it (data without a generatedAt is not saved)
+async function saveDataset(cityId, data) {
+    const generatedAt = data.metadata?.generatedAt;
+    if (!generatedAt) return;
+    
+    try {
+        const db = await openDatasetDb();
+        if (!db) return;
+        
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(DATASET_STORE, 'readwrite');
+            const store = transaction.objectStore(DATASET_STORE);
+            store.put({ city: cityId, generatedAt, savedAt: new Date().toISOString(), data });
+            const keysRequest = store.index('city').getAllKeys(cityId);
+            keysRequest.onsuccess = () => {
+                keysRequest.result
+                    .filter(key => key[1] !== generatedAt)
+                    .forEach(key => store.delete(key));
+            };
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    } catch (error) {
+        console.warn('Could not save the dataset:', error);
+    }
+}
+
+// Register the service worker that keeps the app, data and viewed tiles available offline
+// (service workers need http or https, so a page opened from file:// goes without)
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !window.location.protocol.startsWith('http')) return;
+    
+    navigator.serviceWorker.register('service-worker.js').catch(error => {
+        console.warn('Service worker registration failed:', error);
+    });
+}
+
 // Load businesses from all categories
 async function loadAllBusinesses() {
-    const allBusinessesList = [];
     const categories = getCategoryDefinitions();
+    const failedCategories = [];
     
     // Load businesses in parallel for all categories
     const loadPromises = Object.entries(categories).map(async ([categoryId, categoryDef]) => {
@@ -757,7 +1614,8 @@ async function loadAllBusinesses() {
             // Add category to each business
             return businesses.map(b => ({ ...b, category: categoryId }));
         } catch (error) {
-            console.error(`Error loading ${categoryId}:`, error);
+            console.error(error.message);
+            failedCategories.push(categoryDef.name);
             return [];
         }
     });
@@ -765,101 +1623,108 @@ async function loadAllBusinesses() {
     const results = await Promise.all(loadPromises);
     const allBusinesses = results.flat();
     
-    // Final filter to ensure no excluded chains made it through
-    const filteredBusinesses = allBusinesses.filter(b => !isExcludedChain(b));
+    if (failedCategories.length > 0) {
+        alert(`These categories could not be loaded from OpenStreetMap and are left out: ${failedCategories.join(', ')}. Please try again later.`);
+    }
+    
+    // Final filter to ensure no excluded chains made it into the bohemian categories
+    const filteredBusinesses = allBusinesses.filter(b => categories[b.category]?.detractor || !CATEGORY_CONFIG.isExcludedChain(b));
     
     const excludedCount = allBusinesses.length - filteredBusinesses.length;
     if (excludedCount > 0) {
-        console.log(`Excluded ${excludedCount} chain restaurants from bohemian heat map`);
+        console.log(`Excluded ${excludedCount} chain businesses from bohemian categories`);
     }
-    console.log(`Loaded ${filteredBusinesses.length} businesses across all categories`);
     
-    return filteredBusinesses;
+    // One business per OSM element, listing every category it was found in
+    const businesses = CATEGORY_CONFIG.mergeBusinessCategories(filteredBusinesses);
+    console.log(`Loaded ${businesses.length} businesses across all categories`);
+    
+    return businesses;
 }
 
 // Load businesses for a specific category
+// Throws if Overpass fails, so a failed category is never mistaken for an empty one
 async function loadBusinessesByCategory(categoryId, categoryDef) {
-    try {
-        const response = await fetch('https://overpass-api.de/api/interpreter', {
-            method: 'POST',
-            headers: { 'Content-Type': 'text/plain' },
-            body: categoryDef.query
-        });
-
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: Failed to fetch ${categoryId}`);
+    const data = await overpassClient.query(categoryDef.query, { label: categoryId });
+    const businessesMap = new Map();
+    
+    data.elements.forEach(el => {
+        const tags = el.tags || {};
+        
+        // Apply category-specific filter
+        if (!CATEGORY_CONFIG.matchesRule(categoryDef.match, tags)) {
+            return;
         }
-
-        const data = await response.json();
-        const businessesMap = new Map();
         
-        data.elements.forEach(el => {
-            const tags = el.tags || {};
-            
-            // Apply category-specific filter
-            if (!categoryDef.filterFn(tags)) {
-                return;
-            }
-            
-            // Get coordinates
-            let lat, lon;
-            if (el.type === 'node' && el.lat && el.lon) {
-                lat = el.lat;
-                lon = el.lon;
-            } else if (el.type === 'way' && el.center) {
-                lat = el.center.lat;
-                lon = el.center.lon;
-            } else {
-                return;
-            }
-            
-            const name = tags.name || tags['name:en'] || 'Unnamed Business';
-            
-            // Exclude chain restaurants by name
-            if (isExcludedChain({ name: name })) {
-                return; // Skip this business
-            }
-            
-            const key = `${lat.toFixed(6)},${lon.toFixed(6)}`;
-            
-            // Avoid duplicates
-            if (!businessesMap.has(key)) {
-                businessesMap.set(key, {
-                    id: el.id,
-                    name: name,
-                    lat: lat,
-                    lon: lon,
-                    tags: tags,
-                    type: 'business'
-                });
-            }
-        });
+        // Get coordinates
+        let lat, lon;
+        if (el.type === 'node' && el.lat && el.lon) {
+            lat = el.lat;
+            lon = el.lon;
+        } else if (el.type === 'way' && el.center) {
+            lat = el.center.lat;
+            lon = el.center.lon;
+        } else {
+            return;
+        }
         
-        const businesses = Array.from(businessesMap.values());
-        console.log(`Loaded ${businesses.length} businesses for ${categoryId}`);
-        return businesses;
-    } catch (error) {
-        console.error(`Error loading businesses for ${categoryId}:`, error);
-        return [];
-    }
+        const name = tags.name || tags['name:en'] || 'Unnamed Business';
+        
+        // Exclude chain restaurants by name (detractor categories exist to collect them)
+        if (!categoryDef.detractor && CATEGORY_CONFIG.isExcludedChain({ name: name })) {
+            return; // Skip this business
+        }
+        
+        const key = `${lat.toFixed(6)},${lon.toFixed(6)}`;
+        
+        // Avoid duplicates
+        if (!businessesMap.has(key)) {
+            businessesMap.set(key, {
+                id: el.id,
+                osmType: el.type,
+                name: name,
+                lat: lat,
+                lon: lon,
+                tags: tags,
+                type: 'business'
+            });
+        }
+    });
+    
+    const businesses = Array.from(businessesMap.values());
+    console.log(`Loaded ${businesses.length} businesses for ${categoryId}`);
+    return businesses;
+}
+
+// Grid steps in degrees for a half-mile cell at the middle of a bounding box
+// 1 degree lat ≈ 111 km everywhere; 1 degree lon ≈ 111 * cos(latitude) km
+// (at Portland's ~45.5° that is 0.804/111 ≈ 0.00724 and 0.804/78 ≈ 0.0103 degrees)
+function getGridSteps(bbox) {
+    const midLat = (bbox.south + bbox.north) / 2;
+    return {
+        latStep: GRID_SIZE_KM / 111,
+        lonStep: GRID_SIZE_KM / (111 * Math.cos(midLat * Math.PI / 180))
+    };
 }
 
-// Generate half-mile grid cells covering Portland
+// Generate half-mile grid cells covering the current city
 function generateGridCells() {
     const cells = [];
+    const bbox = currentCity.bbox;
+    const { latStep, lonStep } = getGridSteps(bbox);
     
     // Calculate number of cells needed
-    const latRange = PORTLAND_BBOX.north - PORTLAND_BBOX.south;
-    const lonRange = PORTLAND_BBOX.east - PORTLAND_BBOX.west;
-    const latCells = Math.ceil(latRange / GRID_LAT_STEP);
-    const lonCells = Math.ceil(lonRange / GRID_LON_STEP);
+    const latRange = bbox.north - bbox.south;
+    const lonRange = bbox.east - bbox.west;
+    const latCells = Math.ceil(latRange / latStep);
+    const lonCells = Math.ceil(lonRange / lonStep);
     
     for (let i = 0; i < latCells; i++) {
         for (let j = 0; j < lonCells; j++) {
-            const south = PORTLAND_BBOX.south + i * GRID_LAT_STEP;
-            const north = south + GRID_LAT_STEP;
-            const west = PORTLAND_BBOX.west + j * GRID_LON_STEP;
-            const east = west + GRID_LON_STEP;
+            const south = bbox.south + i * latStep;
+            const north = south + latStep;
+            const west = bbox.west + j * lonStep;
+            const east = west + lonStep;
             
             // Calculate center point
             const centerLat = (south + north) / 2;
@@ -883,8 +1748,11 @@ function generateGridCells() {
                 geometry: geometry,
                 bounds: { minLat: south, maxLat: north, minLon: west, maxLon: east },
                 area: GRID_SIZE_KM * GRID_SIZE_KM, // Fixed area for grid cells
-                proximityScore: 0,
+                isGridCell: true,
+                bohemianScore: 0,
+                categoryScores: {},
                 nearestBusiness: null,
+                nearestDistanceByCategory: {},
                 businesses: [],
                 businessesByCategory: {}
             });
@@ -894,89 +1762,33 @@ function generateGridCells() {
     return cells;
 }
 
-// Calculate distance between two points in kilometers (Haversine formula)
-function calculateDistance(lat1, lon1, lat2, lon2) {
-    const R = 6371; // Earth's radius in km
-    const dLat = (lat2 - lat1) * Math.PI / 180;
-    const dLon = (lon2 - lon1) * Math.PI / 180;
-    const a = 
-        Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-        Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-        Math.sin(dLon / 2) * Math.sin(dLon / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    return R * c;
+// Build the spatial indexes used for business lookups once the data is loaded (or the
+// opening hours filter changes which places count), and hand the same businesses to the scoring worker
+function buildBusinessIndexes() {
+    scoredBusinesses = getScoredBusinesses();
+    const indexes = createBusinessIndexes(scoredBusinesses);
+    businessIndex = indexes.all;
+    businessIndexByCategory = indexes.byCategory;
+    
+    if (scoringWorker) {
+        scoringWorker.postMessage({ type: 'businesses', businesses: scoredBusinesses });
+    }
 }
 
-// Load Portland neighborhoods from Overpass API
+// Load the current city's neighborhoods, preferring the bundled file written by fetch-data.js
 async function loadNeighborhoods() {
-    // Try using area search first (more reliable than bounding box)
-    // This searches within Portland city boundaries
-    let overpassQuery = `
-        [out:json][timeout:60];
-        area[name="Portland"][place="city"]->.portland;
-        (
-          relation["boundary"="administrative"]["admin_level"="10"](area.portland);
-          relation["place"="neighbourhood"](area.portland);
-          relation["place"="suburb"](area.portland);
-        );
-        out body;
-        >;
-        out skel qt;
-    `;
-
+    // The bundled file needs no network access beyond the app itself
+    const bundledNeighborhoods = await loadNeighborhoodsFromGeoJSON(currentCity.neighborhoodsFile);
+    if (bundledNeighborhoods.length > 0) {
+        return bundledNeighborhoods;
+    }
+    
+    console.warn(`No bundled ${currentCity.neighborhoodsFile}, querying Overpass API...`);
+    
     try {
-        const response = await fetch('https://overpass-api.de/api/interpreter', {
-            method: 'POST',
-            headers: { 'Content-Type': 'text/plain' },
-            body: overpassQuery
-        });
-
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: Failed to fetch neighborhoods`);
-        }
-
-        const data = await response.json();
-        
-        // Process the response - group elements by type
-        const relations = new Map();
-        const ways = new Map();
-        const nodes = new Map();
-        
-        data.elements.forEach(el => {
-            if (el.type === 'relation') {
-                relations.set(el.id, el);
-            } else if (el.type === 'way') {
-                ways.set(el.id, el);
-            } else if (el.type === 'node') {
-                nodes.set(el.id, el);
-            }
-        });
-        
-        // Build neighborhoods from relations
-        let neighborhoods = Array.from(relations.values())
-            .filter(rel => {
-                // Filter for administrative boundaries or neighborhoods
-                const tags = rel.tags || {};
-                return (tags.boundary === 'administrative' && tags.admin_level === '10') ||
-                       tags.place === 'neighbourhood' ||
-                       tags.place === 'suburb' ||
-                       tags.place === 'quarter';
-            })
-            .map(rel => {
-                const geometry = buildGeometryFromRelationData(rel, ways, nodes);
-                
-                if (!geometry || geometry.length < 3) return null;
-                
-                return {
-                    id: rel.id,
-                    name: rel.tags?.name || rel.tags?.['name:en'] || 'Unnamed Neighborhood',
-                    geometry: geometry,
-                    bounds: calculateBounds(geometry),
-                    area: calculateArea(geometry),
-                    restaurants: []
-                };
-            })
-            .filter(n => n !== null && n.area > 0.001); // Filter out invalid/tiny areas
+        // Try using area search first (more reliable than bounding box)
+        // This searches within the city's boundaries
+        let neighborhoods = await queryNeighborhoods('area', 'neighborhoods');
         
         // If no neighborhoods found, try bounding box query
         if (neighborhoods.length === 0) {
@@ -990,22 +1802,16 @@ async function loadNeighborhoods() {
             neighborhoods = await loadNeighborhoodsWithGeom();
         }
         
-        // If still no neighborhoods found, try Portland Open Data
-        if (neighborhoods.length === 0) {
-            console.warn('OSM queries found no neighborhoods, trying Portland Open Data...');
-            neighborhoods = await loadNeighborhoodsFromPortlandData();
-        }
-        
-        // Try loading from local GeoJSON file if available
+        // If still no neighborhoods found, try the city's open data sources
         if (neighborhoods.length === 0) {
-            console.warn('No neighborhoods from APIs, trying local GeoJSON file...');
-            neighborhoods = await loadNeighborhoodsFromGeoJSON('neighborhoods.geojson');
+            console.warn('OSM queries found no neighborhoods, trying open data sources...');
+            neighborhoods = await loadNeighborhoodsFromOpenData();
         }
         
-        // Last resort: grid fallback
+        // An empty list tells setScoringMode to stay in grid mode
         if (neighborhoods.length === 0) {
-            console.warn('No neighborhoods found from any source, using grid fallback');
-            return createGridNeighborhoods();
+            console.warn('No neighborhoods found from any source');
+            return [];
         }
         
         console.log(`Loaded ${neighborhoods.length} neighborhoods`);
@@ -1023,374 +1829,117 @@ async function loadNeighborhoods() {
             console.error('Alternative query also failed:', e);
         }
         
-        // Try Portland Open Data as fallback
+        // Try the city's open data sources as fallback
         try {
-            const portlandData = await loadNeighborhoodsFromPortlandData();
-            if (portlandData.length > 0) {
-                return portlandData;
+            const openData = await loadNeighborhoodsFromOpenData();
+            if (openData.length > 0) {
+                return openData;
             }
         } catch (e) {
-            console.error('Portland Open Data also failed:', e);
+            console.error('Open data sources also failed:', e);
         }
         
-        // Last resort: grid system
-        return createGridNeighborhoods();
+        return [];
     }
 }
 
 // Alternative: Load neighborhoods using bounding box query
 async function loadNeighborhoodsByBBox() {
-    const overpassQuery = `
-        [out:json][timeout:60];
-        (
-          relation["boundary"="administrative"]["admin_level"="10"]({{bbox}});
-          relation["place"="neighbourhood"]({{bbox}});
-          relation["place"="suburb"]({{bbox}});
-          relation["place"="quarter"]({{bbox}});
-        );
-        out body;
-        >;
-        out skel qt;
-    `.replace(/\{\{bbox\}\}/g, `${PORTLAND_BBOX.south},${PORTLAND_BBOX.west},${PORTLAND_BBOX.north},${PORTLAND_BBOX.east}`);
-
     try {
-        const response = await fetch('https://overpass-api.de/api/interpreter', {
-            method: 'POST',
-            headers: { 'Content-Type': 'text/plain' },
-            body: overpassQuery
-        });
-
-        if (!response.ok) return [];
-
-        const data = await response.json();
-        
-        // Process the response - group elements by type
-        const relations = new Map();
-        const ways = new Map();
-        const nodes = new Map();
-        
-        data.elements.forEach(el => {
-            if (el.type === 'relation') {
-                relations.set(el.id, el);
-            } else if (el.type === 'way') {
-                ways.set(el.id, el);
-            } else if (el.type === 'node') {
-                nodes.set(el.id, el);
-            }
-        });
-        
-        // Build neighborhoods from relations
-        return Array.from(relations.values())
-            .filter(rel => {
-                const tags = rel.tags || {};
-                return (tags.boundary === 'administrative' && tags.admin_level === '10') ||
-                       tags.place === 'neighbourhood' ||
-                       tags.place === 'suburb' ||
-                       tags.place === 'quarter';
-            })
-            .map(rel => {
-                const geometry = buildGeometryFromRelationData(rel, ways, nodes);
-                
-                if (!geometry || geometry.length < 3) return null;
-                
-                return {
-                    id: rel.id,
-                    name: rel.tags?.name || rel.tags?.['name:en'] || 'Unnamed Neighborhood',
-                    geometry: geometry,
-                    bounds: calculateBounds(geometry),
-                    area: calculateArea(geometry),
-                    restaurants: []
-                };
-            })
-            .filter(n => n !== null && n.area > 0.001);
+        return await queryNeighborhoods('bbox', 'neighborhoods (bounding box)');
     } catch (error) {
         console.error('Bounding box query failed:', error);
         return [];
     }
 }
 
-// Alternative query using out geom (simpler but may work better in some cases)
-async function loadNeighborhoodsWithGeom() {
-    const overpassQuery = `
-        [out:json][timeout:60];
-        (
-          relation["boundary"="administrative"]["admin_level"="10"]({{bbox}});
-          relation["place"="neighbourhood"]({{bbox}});
-          relation["place"="suburb"]({{bbox}});
-        );
-        (._;>;);
-        out geom;
-    `.replace(/\{\{bbox\}\}/g, `${PORTLAND_BBOX.south},${PORTLAND_BBOX.west},${PORTLAND_BBOX.north},${PORTLAND_BBOX.east}`);
-
-    const response = await fetch('https://overpass-api.de/api/interpreter', {
-        method: 'POST',
-        headers: { 'Content-Type': 'text/plain' },
-        body: overpassQuery
-    });
-
-    if (!response.ok) return [];
-
-    const data = await response.json();
+// Query the current city's neighborhood relations with their member ways and nodes, within its
+// OSM boundary ('area') or bbox ('bbox'), and build neighborhoods from them
+async function queryNeighborhoods(scope, label) {
+    const overpassQuery = CITY_CONFIG.getNeighborhoodQuery(currentCity, { scope });
+    const data = await overpassClient.query(overpassQuery, { label });
     
-    // Group by relation
+    // Process the response - group elements by type
     const relations = new Map();
-    const wayNodes = new Map(); // way_id -> [nodes]
+    const ways = new Map();
+    const nodes = new Map();
     
     data.elements.forEach(el => {
         if (el.type === 'relation') {
             relations.set(el.id, el);
-        } else if (el.type === 'way' && el.nodes && el.geometry) {
-            // Store the geometry (coordinates) for this way
-            wayNodes.set(el.id, el.geometry.map(p => ({ lat: p.lat, lon: p.lon })));
+        } else if (el.type === 'way') {
+            ways.set(el.id, el);
+        } else if (el.type === 'node') {
+            nodes.set(el.id, el);
         }
     });
     
+    // Build neighborhoods from relations
     return Array.from(relations.values())
-        .filter(rel => {
-            const tags = rel.tags || {};
-            return (tags.boundary === 'administrative' && tags.admin_level === '10') ||
-                   tags.place === 'neighbourhood' ||
-                   tags.place === 'suburb';
-        })
+        .filter(rel => CITY_CONFIG.isNeighborhoodRelation(rel.tags))
         .map(rel => {
-            const geometry = buildGeometryFromRelationWithWays(rel, wayNodes);
-            if (!geometry || geometry.length < 3) return null;
+            const geometry = GEOMETRY.buildGeometryFromRelationData(rel, ways, nodes);
+            
+            if (!geometry || geometry.length === 0) return null;
             
             return {
                 id: rel.id,
                 name: rel.tags?.name || rel.tags?.['name:en'] || 'Unnamed Neighborhood',
                 geometry: geometry,
-                bounds: calculateBounds(geometry),
-                area: calculateArea(geometry),
+                bounds: GEOMETRY.calculateBounds(geometry),
+                area: GEOMETRY.calculateArea(geometry),
                 restaurants: []
             };
         })
-        .filter(n => n !== null && n.area > 0.001);
+        .filter(n => n !== null && n.area > 0.001); // Filter out invalid/tiny areas
 }
 
-// Build geometry from relation using way data
-// This function properly chains ways together to form a continuous polygon
-function buildGeometryFromRelationData(relation, waysMap, nodesMap) {
-    if (!relation.members || relation.members.length === 0) return null;
-    
-    // Find outer ring members (ways with role "outer" or no role)
-    const outerWayMembers = relation.members
-        .filter(m => m.type === 'way' && (!m.role || m.role === 'outer'))
-        .map(m => {
-            const way = waysMap.get(m.ref);
-            if (!way || !way.nodes || way.nodes.length === 0) return null;
-            
-            // Convert node IDs to coordinates
-            const coords = way.nodes
-                .map(nodeId => {
-                    const node = nodesMap.get(nodeId);
-                    if (node && node.lat !== undefined && node.lon !== undefined) {
-                        return { lat: node.lat, lon: node.lon };
-                    }
-                    return null;
-                })
-                .filter(c => c !== null);
-            
-            if (coords.length === 0) return null;
-            
-            return {
-                id: m.ref,
-                coords: coords,
-                startNode: coords[0],
-                endNode: coords[coords.length - 1]
-            };
-        })
-        .filter(w => w !== null);
-    
-    if (outerWayMembers.length === 0) return null;
-    
-    // Chain ways together to form a continuous polygon
-    const chainedCoords = chainWays(outerWayMembers);
-    
-    if (!chainedCoords || chainedCoords.length < 3) return null;
-    
-    // Ensure polygon is closed
-    const first = chainedCoords[0];
-    const last = chainedCoords[chainedCoords.length - 1];
-    const dist = Math.sqrt(
-        Math.pow(first.lat - last.lat, 2) + 
-        Math.pow(first.lon - last.lon, 2)
-    );
-    
-    if (dist > 0.0001) { // If not already closed
-        chainedCoords.push({ lat: first.lat, lon: first.lon });
-    }
-    
-    return chainedCoords;
-}
+// Alternative query using out geom (simpler but may work better in some cases)
+async function loadNeighborhoodsWithGeom() {
+    const overpassQuery = CITY_CONFIG.getNeighborhoodQuery(currentCity, { geom: true });
 
-// Chain ways together by matching endpoints
-function chainWays(waySegments) {
-    if (waySegments.length === 0) return null;
-    if (waySegments.length === 1) {
-        // Return a closed polygon
-        const coords = [...waySegments[0].coords];
-        const first = coords[0];
-        const last = coords[coords.length - 1];
-        if (first.lat !== last.lat || first.lon !== last.lon) {
-            coords.push({ lat: first.lat, lon: first.lon });
-        }
-        return coords;
+    let data;
+    try {
+        data = await overpassClient.query(overpassQuery, { label: 'neighborhoods (geometry)' });
+    } catch (error) {
+        console.error(error.message);
+        return [];
     }
     
-    // Helper to compare coordinates (with tolerance)
-    const coordsMatch = (a, b) => {
-        if (!a || !b) return false;
-        const tolerance = 0.0001;
-        return Math.abs(a.lat - b.lat) < tolerance && 
-               Math.abs(a.lon - b.lon) < tolerance;
-    };
-    
-    // Try each way as a starting point and find the best chain
-    let bestChain = null;
-    let bestUsed = 0;
-    
-    for (let startIdx = 0; startIdx < waySegments.length; startIdx++) {
-        const result = [...waySegments[startIdx].coords];
-        const used = new Set([waySegments[startIdx].id]);
-        let currentEnd = result[result.length - 1];
-        
-        // Keep chaining until all ways are used or we can't find a match
-        let progress = true;
-        while (progress && used.size < waySegments.length) {
-            progress = false;
-            
-            for (const way of waySegments) {
-                if (used.has(way.id)) continue;
-                
-                // Check if this way can be chained
-                if (coordsMatch(currentEnd, way.startNode)) {
-                    // Add coordinates (skip first to avoid duplicate)
-                    result.push(...way.coords.slice(1));
-                    currentEnd = way.endNode;
-                    used.add(way.id);
-                    progress = true;
-                    break;
-                } else if (coordsMatch(currentEnd, way.endNode)) {
-                    // Reverse the way and add
-                    const reversed = [...way.coords].reverse();
-                    result.push(...reversed.slice(1));
-                    currentEnd = way.startNode;
-                    used.add(way.id);
-                    progress = true;
-                    break;
-                }
-            }
-        }
-        
-        // If we connected everything, this is our answer
-        if (used.size === waySegments.length) {
-            // Check if we can close the loop
-            const first = result[0];
-            if (coordsMatch(currentEnd, first)) {
-                return result; // Already closed
-            }
-            // Try to find a connection back to start
-            if (result.length > 0) {
-                // Remove duplicates at the end
-                while (result.length > 1 && coordsMatch(result[result.length - 1], result[result.length - 2])) {
-                    result.pop();
-                }
-                // Close the polygon
-                if (!coordsMatch(result[result.length - 1], result[0])) {
-                    result.push({ lat: first.lat, lon: first.lon });
-                }
-                return result;
-            }
-        }
-        
-        // Track the best chain we've found so far
-        if (used.size > bestUsed) {
-            bestUsed = used.size;
-            bestChain = result;
-        }
-    }
+    // Group by relation
+    const relations = new Map();
+    const wayNodes = new Map(); // way_id -> [nodes]
     
-    // Use the best chain we found
-    if (bestChain && bestChain.length >= 3) {
-        // Remove consecutive duplicates
-        const cleaned = [];
-        for (let i = 0; i < bestChain.length; i++) {
-            if (i === 0 || !coordsMatch(bestChain[i], bestChain[i - 1])) {
-                cleaned.push(bestChain[i]);
-            }
-        }
-        
-        // Ensure it's closed
-        if (cleaned.length > 0) {
-            const first = cleaned[0];
-            const last = cleaned[cleaned.length - 1];
-            if (!coordsMatch(first, last)) {
-                cleaned.push({ lat: first.lat, lon: first.lon });
-            }
+    data.elements.forEach(el => {
+        if (el.type === 'relation') {
+            relations.set(el.id, el);
+        } else if (el.type === 'way' && el.nodes && el.geometry) {
+            // Store the geometry (coordinates) for this way
+            wayNodes.set(el.id, el.geometry.map(p => ({ lat: p.lat, lon: p.lon })));
         }
-        
-        return cleaned.length >= 3 ? cleaned : null;
-    }
-    
-    return null;
-}
-
-// Build geometry from relation when we have way coordinates directly
-function buildGeometryFromRelationWithWays(relation, wayNodesMap) {
-    if (!relation.members || relation.members.length === 0) return null;
+    });
     
-    // Get outer ways
-    const outerWayMembers = relation.members
-        .filter(m => m.type === 'way' && (!m.role || m.role === 'outer'))
-        .map(m => {
-            const wayCoords = wayNodesMap.get(m.ref);
-            if (!wayCoords || wayCoords.length === 0) return null;
+    return Array.from(relations.values())
+        .filter(rel => CITY_CONFIG.isNeighborhoodRelation(rel.tags))
+        .map(rel => {
+            const geometry = GEOMETRY.buildGeometryFromRelationWithWays(rel, wayNodes);
+            if (!geometry || geometry.length === 0) return null;
             
             return {
-                id: m.ref,
-                coords: wayCoords,
-                startNode: wayCoords[0],
-                endNode: wayCoords[wayCoords.length - 1]
+                id: rel.id,
+                name: rel.tags?.name || rel.tags?.['name:en'] || 'Unnamed Neighborhood',
+                geometry: geometry,
+                bounds: GEOMETRY.calculateBounds(geometry),
+                area: GEOMETRY.calculateArea(geometry),
+                restaurants: []
             };
         })
-        .filter(w => w !== null);
-    
-    if (outerWayMembers.length === 0) return null;
-    
-    // Chain ways together
-    const chainedCoords = chainWays(outerWayMembers);
-    
-    if (!chainedCoords || chainedCoords.length < 3) return null;
-    
-    // Ensure polygon is closed
-    const first = chainedCoords[0];
-    const last = chainedCoords[chainedCoords.length - 1];
-    const dist = Math.sqrt(
-        Math.pow(first.lat - last.lat, 2) + 
-        Math.pow(first.lon - last.lon, 2)
-    );
-    
-    if (dist > 0.0001) {
-        chainedCoords.push({ lat: first.lat, lon: first.lon });
-    }
-    
-    return chainedCoords;
+        .filter(n => n !== null && n.area > 0.001);
 }
 
-
-// Try to load neighborhoods from Portland Open Data or alternative source
-async function loadNeighborhoodsFromPortlandData() {
-    // Try multiple potential sources for Portland neighborhood boundaries
-    const possibleSources = [
-        // Portland Open Data - neighborhoods GeoJSON (if available)
-        {
-            url: 'https://www.portlandoregon.gov/shared/cfm/gis/geoJSON.cfm?geojsonID=neighborhoods',
-            nameProperty: 'NAME'
-        },
-        // Alternative source patterns - these are examples and may not work
-        // Real URLs would need to be verified
-    ];
+// Try to load neighborhoods from the current city's open data sources (see cities.js)
+async function loadNeighborhoodsFromOpenData() {
+    const possibleSources = currentCity.neighborhoodSources || [];
     
     for (const source of possibleSources) {
         try {
@@ -1400,24 +1949,9 @@ async function loadNeighborhoodsFromPortlandData() {
                 
                 if (geoJson.type === 'FeatureCollection' && geoJson.features) {
                     const neighborhoods = geoJson.features.map((feature, index) => {
-                        const geometry = feature.geometry;
-                        let coords = [];
+                        const coords = geoJsonToGeometry(feature.geometry);
                         
-                        if (geometry.type === 'Polygon') {
-                            // Extract outer ring of polygon
-                            coords = geometry.coordinates[0].map(c => ({
-                                lat: c[1],
-                                lon: c[0]
-                            }));
-                        } else if (geometry.type === 'MultiPolygon') {
-                            // Use first polygon's outer ring
-                            coords = geometry.coordinates[0][0].map(c => ({
-                                lat: c[1],
-                                lon: c[0]
-                            }));
-                        }
-                        
-                        if (coords.length < 3) return null;
+                        if (coords.length === 0) return null;
                         
                         // Try multiple property names for the neighborhood name
                         const props = feature.properties || {};
@@ -1433,14 +1967,14 @@ async function loadNeighborhoodsFromPortlandData() {
                             id: feature.id || props.OBJECTID || props.ID || index,
                             name: name,
                             geometry: coords,
-                            bounds: calculateBounds(coords),
-                            area: calculateArea(coords),
+                            bounds: GEOMETRY.calculateBounds(coords),
+                            area: GEOMETRY.calculateArea(coords),
                             restaurants: []
                         };
                     }).filter(n => n !== null && n.area > 0.001);
                     
                     if (neighborhoods.length > 0) {
-                        console.log(`Loaded ${neighborhoods.length} neighborhoods from Portland Open Data`);
+                        console.log(`Loaded ${neighborhoods.length} neighborhoods from ${source.url}`);
                         return neighborhoods;
                     }
                 }
@@ -1466,24 +2000,9 @@ async function loadNeighborhoodsFromGeoJSON(filename) {
         
         if (geoJson.type === 'FeatureCollection' && geoJson.features) {
             const neighborhoods = geoJson.features.map((feature, index) => {
-                const geometry = feature.geometry;
-                let coords = [];
-                
-                if (geometry.type === 'Polygon') {
-                    // Extract outer ring of polygon
-                    coords = geometry.coordinates[0].map(c => ({
-                        lat: c[1],
-                        lon: c[0]
-                    }));
-                } else if (geometry.type === 'MultiPolygon') {
-                    // Use first polygon's outer ring
-                    coords = geometry.coordinates[0][0].map(c => ({
-                        lat: c[1],
-                        lon: c[0]
-                    }));
-                }
+                const coords = geoJsonToGeometry(feature.geometry);
                 
-                if (coords.length < 3) return null;
+                if (coords.length === 0) return null;
                 
                 // Try multiple property names for the neighborhood name
                 const props = feature.properties || {};
@@ -1499,8 +2018,8 @@ async function loadNeighborhoodsFromGeoJSON(filename) {
                     id: feature.id || props.OBJECTID || props.ID || props.FID || index,
                     name: name,
                     geometry: coords,
-                    bounds: calculateBounds(coords),
-                    area: calculateArea(coords),
+                    bounds: GEOMETRY.calculateBounds(coords),
+                    area: GEOMETRY.calculateArea(coords),
                     restaurants: []
                 };
             }).filter(n => n !== null && n.area > 0.001);
@@ -1517,399 +2036,397 @@ async function loadNeighborhoodsFromGeoJSON(filename) {
     return [];
 }
 
-// Create a grid-based neighborhood system as fallback
-function createGridNeighborhoods() {
-    const gridSize = 4; // 4x4 grid
-    const latStep = (PORTLAND_BBOX.north - PORTLAND_BBOX.south) / gridSize;
-    const lonStep = (PORTLAND_BBOX.east - PORTLAND_BBOX.west) / gridSize;
-    const neighborhoods = [];
+// Convert a GeoJSON Polygon or MultiPolygon to a MultiPolygon geometry, keeping every ring
+function geoJsonToGeometry(geoJsonGeometry) {
+    if (!geoJsonGeometry) return [];
     
-    for (let i = 0; i < gridSize; i++) {
-        for (let j = 0; j < gridSize; j++) {
-            const south = PORTLAND_BBOX.south + i * latStep;
-            const north = south + latStep;
-            const west = PORTLAND_BBOX.west + j * lonStep;
-            const east = west + lonStep;
-            
-            // Create polygon geometry
-            const geometry = [
-                { lat: south, lon: west },
-                { lat: north, lon: west },
-                { lat: north, lon: east },
-                { lat: south, lon: east },
-                { lat: south, lon: west } // Close polygon
-            ];
-            
-            neighborhoods.push({
-                id: -(i * gridSize + j + 1), // Negative IDs for grid neighborhoods
-                name: `Grid ${i + 1}-${j + 1}`,
-                geometry: geometry,
-                bounds: { minLat: south, maxLat: north, minLon: west, maxLon: east },
-                area: calculateArea(geometry),
-                restaurants: []
-            });
-        }
-    }
+    const polygons = geoJsonGeometry.type === 'Polygon' ? [geoJsonGeometry.coordinates] :
+        geoJsonGeometry.type === 'MultiPolygon' ? geoJsonGeometry.coordinates : [];
     
-    return neighborhoods;
-}
-
-// Load vegan restaurants from Overpass API
-async function loadVeganRestaurants() {
-    // Strict query: Only get places with vegan tags
-    // We'll do additional filtering in JavaScript to ensure they're actual food places
-    const overpassQuery = `
-        [out:json][timeout:90];
-        (
-          // Nodes with explicit vegan diet tags
-          node["diet:vegan"~"^(yes|only)$"]({{bbox}});
-          
-          // Nodes with vegan cuisine
-          node["cuisine"~"vegan",i]({{bbox}});
-          
-          // Ways (buildings/areas) with explicit vegan diet tags
-          way["diet:vegan"~"^(yes|only)$"]({{bbox}});
-          
-          // Ways with vegan cuisine
-          way["cuisine"~"vegan",i]({{bbox}});
-        );
-        out center tags;
-    `.replace(/\{\{bbox\}\}/g, `${PORTLAND_BBOX.south},${PORTLAND_BBOX.west},${PORTLAND_BBOX.north},${PORTLAND_BBOX.east}`);
-
-    try {
-        const response = await fetch('https://overpass-api.de/api/interpreter', {
-            method: 'POST',
-            headers: { 'Content-Type': 'text/plain' },
-            body: overpassQuery
-        });
+    return polygons
+        .map(polygon => polygon
+            .map(ring => ring.map(c => ({ lat: c[1], lon: c[0] })))
+            .filter(ring => ring.length >= 3))
+        .filter(polygon => polygon.length > 0);
+}
 
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: Failed to fetch vegan restaurants`);
-        }
+// Convert a geometry to nested Leaflet latlng arrays (L.polygon renders holes and multiple parts)
+function toLeafletLatLngs(geometry) {
+    return GEOMETRY.toMultiPolygon(geometry).map(polygon => polygon.map(ring => ring.map(p => [p.lat, p.lon])));
+}
 
-        const data = await response.json();
-        
-        const restaurantsMap = new Map();
-        
-        // Process elements with strict filtering
-        data.elements.forEach(el => {
-            const tags = el.tags || {};
-            
-            // Strict check: Must have explicit vegan marking
-            const hasVeganDiet = tags['diet:vegan'] === 'yes' || tags['diet:vegan'] === 'only';
-            
-            // Check cuisine - can be single value or semicolon-separated list
-            const cuisine = tags.cuisine ? tags.cuisine.toLowerCase() : '';
-            const cuisineList = cuisine.split(';').map(c => c.trim());
-            const hasVeganCuisine = cuisineList.some(c => c.includes('vegan')) || cuisine.includes('vegan');
-            
-            // Skip if not explicitly vegan
-            if (!hasVeganDiet && !hasVeganCuisine) {
-                return;
-            }
-            
-            // Exclude places that explicitly don't serve vegan food
-            if (tags['diet:vegan'] === 'no') {
-                return;
-            }
-            
-            // If they have vegan tags, they're good regardless of other cuisine types
-            // (e.g., a restaurant can serve both vegan and non-vegan options)
-            // So we don't need to exclude based on other cuisine types if they have vegan tags
-            
-            // Must be a food establishment or vegan-friendly store
-            const amenity = tags.amenity || '';
-            const shop = tags.shop || '';
-            
-            const isFoodPlace = (
-                amenity === 'restaurant' ||
-                amenity === 'cafe' ||
-                amenity === 'fast_food' ||
-                amenity === 'food_court' ||
-                amenity === 'bar' ||
-                amenity === 'bistro' ||
-                amenity === 'pub' ||
-                amenity === 'ice_cream' ||
-                amenity === 'bakery'
-            );
-            
-            // Allow vegan-friendly stores (supermarkets with vegan options)
-            const isVeganStore = (
-                shop === 'supermarket' ||
-                shop === 'convenience' ||
-                shop === 'health_food'
-            ) && (hasVeganDiet || tags['diet:vegan:options'] === 'yes');
-            
-            // Skip if not a food place or vegan store
-            if (!isFoodPlace && !isVeganStore) {
-                return;
-            }
-            
-            // Get coordinates
-            let lat, lon;
-            if (el.type === 'node' && el.lat && el.lon) {
-                lat = el.lat;
-                lon = el.lon;
-            } else if (el.type === 'way' && el.center) {
-                lat = el.center.lat;
-                lon = el.center.lon;
-            } else {
-                return; // Skip if no valid location
-            }
-            
-            const name = tags.name || tags['name:en'] || 'Unnamed Restaurant';
-            
-            // Use location + name as key to avoid duplicates
-            const key = `${lat.toFixed(6)},${lon.toFixed(6)}`;
-            
-            // Only add if not already in map, or if this entry has more complete information
-            if (!restaurantsMap.has(key) || 
-                (tags && Object.keys(tags).length > Object.keys(restaurantsMap.get(key).tags || {}).length)) {
-                restaurantsMap.set(key, {
-                    id: el.id,
-                    name: name,
-                    lat: lat,
-                    lon: lon,
-                    tags: tags,
-                    type: 'restaurant',
-                    veganType: hasVeganDiet ? 'vegan-only' : (hasVeganCuisine ? 'vegan-cuisine' : 'unknown')
-                });
-            }
-        });
-        
-        const restaurants = Array.from(restaurantsMap.values());
-        
-        // Log statistics
-        const veganOnly = restaurants.filter(r => r.tags?.['diet:vegan'] === 'only').length;
-        const veganOptions = restaurants.filter(r => r.tags?.['diet:vegan'] === 'yes').length;
-        const veganCuisine = restaurants.filter(r => !r.tags?.['diet:vegan'] && r.tags?.cuisine?.toLowerCase().includes('vegan')).length;
-        
-        console.log(`Loaded ${restaurants.length} vegan restaurants:`);
-        console.log(`  - Vegan-only: ${veganOnly}`);
-        console.log(`  - Vegan options: ${veganOptions}`);
-        console.log(`  - Vegan cuisine: ${veganCuisine}`);
-        
-        // Log any suspicious entries for debugging (if needed)
-        const suspicious = restaurants.filter(r => {
-            const tags = r.tags || {};
-            const cuisine = (tags.cuisine || '').toLowerCase();
-            const hasVegan = tags['diet:vegan'] || cuisine.includes('vegan');
-            const hasMeatOnly = cuisine.includes('steak') || cuisine.includes('bbq') || 
-                              cuisine.includes('seafood') && !cuisine.includes('vegan');
-            return !hasVegan || (hasMeatOnly && !tags['diet:vegan']);
-        });
-        
-        if (suspicious.length > 0) {
-            console.warn(`Found ${suspicious.length} potentially non-vegan restaurants (may need review):`, 
-                suspicious.map(r => r.name));
-        }
-        
-        return restaurants;
+// Start the scoring worker; scoring falls back to the main thread when workers
+// are unavailable (e.g. some browsers block them for pages opened from file://)
+function initializeScoringWorker() {
+    if (typeof Worker === 'undefined') return;
+    
+    try {
+        scoringWorker = new Worker('scoring-worker.js');
     } catch (error) {
-        console.error('Error fetching vegan restaurants:', error);
-        // Return empty array on error - app will still work, just no restaurants
-        return [];
+        console.warn('Scoring worker unavailable, scoring on the main thread:', error);
+        return;
     }
+    
+    scoringWorker.onmessage = handleScoringWorkerMessage;
+    scoringWorker.onerror = event => {
+        console.warn('Scoring worker failed, scoring on the main thread:', event.message);
+        event.preventDefault();
+        stopScoringWorker();
+    };
 }
 
-// Calculate bounding box for a geometry
-function calculateBounds(geometry) {
-    if (!geometry || geometry.length === 0) return null;
-    
-    let minLat = Infinity, maxLat = -Infinity;
-    let minLon = Infinity, maxLon = -Infinity;
+// Shut the worker down and finish anything it still owed on the main thread
+function stopScoringWorker() {
+    if (scoringWorker) {
+        scoringWorker.terminate();
+        scoringWorker = null;
+    }
     
-    geometry.forEach(point => {
-        if (point.lat && point.lon) {
-            minLat = Math.min(minLat, point.lat);
-            maxLat = Math.max(maxLat, point.lat);
-            minLon = Math.min(minLon, point.lon);
-            maxLon = Math.max(maxLon, point.lon);
-        }
+    pendingScoreRequests.forEach(({ areas, settings, resolve }) => {
+        resolve(scoreAreasOnMainThread(areas, settings));
     });
-    
-    return { minLat, maxLat, minLon, maxLon };
+    pendingScoreRequests.clear();
 }
 
-// Calculate approximate area of a polygon using shoelace formula
-// Returns area in square kilometers
-function calculateArea(geometry) {
-    if (!geometry || geometry.length < 3) return 0.01; // Minimum area
+// Handle progress, results and errors posted by the scoring worker
+function handleScoringWorkerMessage(event) {
+    const message = event.data;
+    const pending = pendingScoreRequests.get(message.requestId);
+    if (!pending) return;
     
-    let area = 0;
-    const n = geometry.length;
-    
-    for (let i = 0; i < n; i++) {
-        const j = (i + 1) % n;
-        const xi = geometry[i].lon;
-        const yi = geometry[i].lat;
-        const xj = geometry[j].lon;
-        const yj = geometry[j].lat;
-        
-        if (xi !== undefined && yi !== undefined && xj !== undefined && yj !== undefined) {
-            area += xi * yj;
-            area -= xj * yi;
+    if (message.type === 'progress') {
+        if (message.requestId === scoreRequestId) {
+            showScoreProgress(message.done, message.total);
         }
+        return;
     }
     
-    // Shoelace formula gives area in square degrees
-    const areaSqDegrees = Math.abs(area / 2);
+    pendingScoreRequests.delete(message.requestId);
     
-    // Convert to square kilometers
-    // At Portland's latitude (~45.5°), 1 degree of latitude ≈ 111 km
-    // 1 degree of longitude ≈ 111 * cos(45.5°) ≈ 78 km
-    const latKmPerDegree = 111;
-    const lonKmPerDegree = 111 * Math.cos(PORTLAND_BBOX.north * Math.PI / 180);
+    if (message.type === 'error') {
+        console.warn('Scoring worker error, scoring on the main thread:', message.message);
+        pending.resolve(scoreAreasOnMainThread(pending.areas, pending.settings));
+        return;
+    }
     
-    // Approximate conversion (assuming rectangular area)
-    const areaSqKm = areaSqDegrees * latKmPerDegree * lonKmPerDegree;
+    // The worker refers to businesses by their position in the list it had when the request was sent
+    pending.resolve(message.results.map(result => ({
+        ...result,
+        nearestBusiness: result.nearestBusiness !== null ? pending.businesses[result.nearestBusiness] : null,
+        businesses: result.businesses.map(position => pending.businesses[position])
+    })));
+}
+
+// Scoring settings from the filter panel: selected bohemian categories, weights and detractor penalty
+function getScoreSettings() {
+    const weights = {};
+    Object.keys(categoryDefinitions).forEach(catId => {
+        weights[catId] = getCategoryWeight(catId);
+    });
     
-    return Math.max(areaSqKm, 0.01); // Minimum area to avoid division by zero
+    return {
+        categoryIds: Object.keys(categoryDefinitions)
+            .filter(catId => !isDetractorCategory(catId) && activeCategoryFilters.has(catId)),
+        detractorIds: Object.keys(categoryDefinitions).filter(catId => isDetractorCategory(catId)),
+        weights,
+        detractorPenaltyWeight
+    };
 }
 
-// Calculate proximity scores for grid cells
-// NOTE: This always uses ALL businesses regardless of filter selection
-function calculateProximityScores() {
-    gridCells.forEach(cell => {
-        let minDistance = Infinity;
-        let nearestBusiness = null;
-        
-        // Find nearest business (ANY category) to this grid cell center
-        // This always considers ALL businesses for the bohemian score
-        allBusinesses.forEach(business => {
-            const distance = calculateDistance(
-                cell.centerLat,
-                cell.centerLon,
-                business.lat,
-                business.lon
-            );
-            
-            if (distance < minDistance) {
-                minDistance = distance;
-                nearestBusiness = business;
-            }
-            
-            // Also check if business is within this grid cell
-            if (business.lat >= cell.bounds.minLat && 
-                business.lat <= cell.bounds.maxLat &&
-                business.lon >= cell.bounds.minLon && 
-                business.lon <= cell.bounds.maxLon) {
-                cell.businesses.push(business);
-            }
+// Score areas synchronously with the main thread's spatial indexes
+function scoreAreasOnMainThread(areas, settings) {
+    return scoreAreas(areas, { all: businessIndex, byCategory: businessIndexByCategory }, settings);
+}
+
+// Send areas to the worker, keeping only the fields scoring needs
+function requestScoresFromWorker(requestId, areas, settings) {
+    return new Promise(resolve => {
+        pendingScoreRequests.set(requestId, { areas, settings, businesses: scoredBusinesses, resolve });
+        scoringWorker.postMessage({
+            type: 'score',
+            requestId,
+            settings,
+            areas: areas.map(cell => ({
+                id: cell.id,
+                centerLat: cell.centerLat,
+                centerLon: cell.centerLon,
+                bounds: cell.bounds,
+                area: cell.area,
+                isGridCell: cell.isGridCell,
+                // Grid cells only need their bounds for containment
+                geometry: cell.isGridCell ? null : cell.geometry
+            }))
         });
+    });
+}
+
+// Calculate composite Bohemian Scores for grid cells or neighborhoods
+// Only categories selected in the filter panel count toward the score;
+// detractor categories always subtract from it, scaled by the penalty weight.
+// Runs in the scoring worker when available. Resolves to false when a newer
+// request superseded this one, in which case the areas are left untouched.
+async function calculateBohemianScores(areas) {
+    const requestId = ++scoreRequestId;
+    const settings = getScoreSettings();
+    
+    showScoreProgress(0, areas.length);
+    const results = scoringWorker ?
+        await requestScoresFromWorker(requestId, areas, settings) :
+        scoreAreasOnMainThread(areas, settings);
+    
+    if (requestId !== scoreRequestId) return false;
+    
+    applyScoreResults(areas, results);
+    hideScoreProgress();
+    return true;
+}
+
+// Copy scoring results onto the areas and reorder them by rank (highest score first)
+function applyScoreResults(areas, results) {
+    const areasById = new Map(areas.map(cell => [cell.id, cell]));
+    
+    const rankedAreas = results.map(result => {
+        const cell = areasById.get(result.id);
+        cell.bohemianScore = result.bohemianScore;
+        cell.categoryScores = result.categoryScores;
+        cell.detractorPenalty = result.detractorPenalty;
+        cell.minDistance = result.minDistance;
+        cell.nearestBusiness = result.nearestBusiness;
+        cell.nearestDistanceByCategory = result.nearestDistanceByCategory;
+        cell.businesses = result.businesses;
         
-        // Proximity score: closer businesses = higher score
-        // Use exponential decay for better visualization
-        // Score = 100 * e^(-distance/0.5) where 0.5km is the decay rate
-        cell.nearestBusiness = nearestBusiness;
-        cell.minDistance = minDistance;
-        if (minDistance < Infinity) {
-            // Exponential decay: score decreases with distance
-            // At 0km: score = 100, at 0.5km: score ≈ 37, at 1km: score ≈ 14
-            cell.proximityScore = 100 * Math.exp(-minDistance / 0.5);
-        } else {
-            cell.proximityScore = 0;
-        }
-        
-        // Count businesses by category in this cell
+        // Count businesses by scored category in this area; a business in several
+        // categories is listed under each but counted once in businessCount
         cell.businessCount = cell.businesses.length;
         cell.businessesByCategory = {};
         cell.businesses.forEach(b => {
-            const cat = b.category || 'unknown';
-            if (!cell.businessesByCategory[cat]) {
-                cell.businessesByCategory[cat] = [];
-            }
-            cell.businessesByCategory[cat].push(b);
+            b.categories
+                .filter(cat => cat in cell.categoryScores)
+                .forEach(cat => {
+                    if (!cell.businessesByCategory[cat]) {
+                        cell.businessesByCategory[cat] = [];
+                    }
+                    cell.businessesByCategory[cat].push(b);
+                });
         });
+        
+        return cell;
     });
     
-    // Sort grid cells by proximity score (descending - highest proximity first)
-    gridCells.sort((a, b) => b.proximityScore - a.proximityScore);
+    areas.splice(0, areas.length, ...rankedAreas);
+}
+
+// Show scoring progress in the drawer
+function showScoreProgress(done, total) {
+    const progress = document.getElementById('score-progress');
+    const percent = total > 0 ? Math.round(100 * done / total) : 0;
+    progress.classList.remove('hidden');
+    progress.querySelector('.score-progress-bar').style.width = `${percent}%`;
+    progress.querySelector('.score-progress-text').textContent = `Scoring areas... ${percent}%`;
+}
+
+function hideScoreProgress() {
+    document.getElementById('score-progress').classList.add('hidden');
+}
+
+// Areas scored and shown in the current mode
+function getScoringAreas() {
+    return scoringMode === 'neighborhoods' ? neighborhoods : gridCells;
+}
+
+// Calculate the centroid of a polygon's largest outer ring
+// (falls back to the first point for degenerate shapes)
+function calculateCentroid(geometry) {
+    const outerRings = GEOMETRY.toMultiPolygon(geometry).map(polygon => polygon[0]);
+    const ring = outerRings.reduce((largest, candidate) =>
+        GEOMETRY.calculateRingArea(candidate) > GEOMETRY.calculateRingArea(largest) ? candidate : largest
+    );
+    
+    let area = 0;
+    let lat = 0;
+    let lon = 0;
+    
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const cross = ring[j].lon * ring[i].lat - ring[i].lon * ring[j].lat;
+        area += cross;
+        lon += (ring[j].lon + ring[i].lon) * cross;
+        lat += (ring[j].lat + ring[i].lat) * cross;
+    }
+    
+    if (Math.abs(area) < 1e-12) {
+        return { lat: ring[0].lat, lon: ring[0].lon };
+    }
+    
+    return { lat: lat / (3 * area), lon: lon / (3 * area) };
+}
+
+// Add the scoring fields grid cells start with to a loaded neighborhood
+function prepareNeighborhood(neighborhood) {
+    const center = calculateCentroid(neighborhood.geometry);
+    return {
+        ...neighborhood,
+        centerLat: center.lat,
+        centerLon: center.lon,
+        isGridCell: false,
+        bohemianScore: 0,
+        categoryScores: {},
+        nearestBusiness: null,
+        nearestDistanceByCategory: {},
+        businesses: [],
+        businessesByCategory: {}
+    };
 }
 
-// Check if a point is inside a polygon (ray casting algorithm)
-function isPointInPolygon(lat, lon, geometry) {
-    if (!geometry || geometry.length === 0) return false;
+// Switch between scoring half-mile grid cells and neighborhoods
+async function setScoringMode(mode) {
+    if (mode === scoringMode) return;
     
-    let inside = false;
-    for (let i = 0, j = geometry.length - 1; i < geometry.length; j = i++) {
-        const xi = geometry[i].lon, yi = geometry[i].lat;
-        const xj = geometry[j].lon, yj = geometry[j].lat;
+    if (mode === 'neighborhoods' && neighborhoods.length === 0) {
+        const loadingOverlay = document.getElementById('loading-overlay');
+        const loadingText = loadingOverlay.querySelector('p');
+        loadingText.textContent = 'Loading neighborhoods...';
+        loadingOverlay.classList.remove('hidden');
+        
+        try {
+            neighborhoods = (await loadNeighborhoods()).map(prepareNeighborhood);
+            searchNeighborhoods = null; // Search the boundaries just loaded
+        } catch (error) {
+            console.error('Error loading neighborhoods:', error);
+        } finally {
+            loadingOverlay.classList.add('hidden');
+            loadingText.textContent = 'Loading map data...';
+        }
         
-        const intersect = ((yi > lat) !== (yj > lat)) &&
-            (lon < (xj - xi) * (lat - yi) / (yj - yi) + xi);
-        if (intersect) inside = !inside;
+        if (neighborhoods.length === 0) {
+            alert('Neighborhood boundaries could not be loaded. Staying in grid mode.');
+            updateModeToggle();
+            return;
+        }
+    }
+    
+    scoringMode = mode;
+    clearPinnedAreas();
+    updateModeToggle();
+    document.getElementById('neighborhood-list').innerHTML = '<div class="loading">Scoring areas...</div>';
+    renderAreaLayer();
+    await updateHeatMap();
+}
+
+// Reflect the current scoring mode in the drawer toggle
+function updateModeToggle() {
+    document.querySelectorAll('.mode-btn').forEach(button => {
+        const isActive = button.dataset.mode === scoringMode;
+        button.classList.toggle('active', isActive);
+        button.setAttribute('aria-pressed', isActive);
+    });
+}
+
+// Create grid cell styling based on Bohemian Score
+function getGridCellStyle(cell, maxScore) {
+    if (!cell || cell.bohemianScore === 0) {
+        return { fillColor: '#f0f0f0', weight: 1, opacity: 0.2, fillOpacity: 0.1, color: '#ccc' };
     }
     
-    return inside;
+    const intensity = maxScore > 0 ? cell.bohemianScore / maxScore : 0;
+    
+    // Color gradient from light blue/green (low score) to dark red (high score)
+    const r = Math.min(255, Math.floor(intensity * 255));
+    const g = Math.min(255, Math.floor((1 - intensity) * 200));
+    const b = Math.min(255, Math.floor((1 - intensity) * 100));
+    
+    // Make opacity proportional to intensity
+    // Low scores = more translucent, high scores = more opaque
+    const minOpacity = 0.2;
+    const maxOpacity = 0.8;
+    const minFillOpacity = 0.15;
+    const maxFillOpacity = 0.7;
+    
+    const opacity = minOpacity + (maxOpacity - minOpacity) * intensity;
+    const fillOpacity = minFillOpacity + (maxFillOpacity - minFillOpacity) * intensity;
+    
+    return {
+        fillColor: `rgb(${r}, ${g}, ${b})`,
+        weight: 1,
+        opacity: opacity,
+        fillOpacity: fillOpacity,
+        color: '#666'
+    };
+}
+
+// Find max Bohemian Score for normalization
+function getMaxBohemianScore(areas) {
+    return areas.reduce((max, cell) => Math.max(max, cell.bohemianScore), 0);
 }
 
 // Render map with grid cells and restaurants
 function renderMap() {
-    calculateProximityScores();
+    renderAreaLayer();
+    
+    // Add business markers (filtered by active categories)
+    addBusinessMarkers();
     
-    // Find max proximity score for normalization
-    const maxProximity = Math.max(...gridCells.map(c => c.proximityScore));
+    map.addLayer(businessMarkers);
     
-    // Create grid cell styling based on proximity
-    const gridCellStyle = (cell) => {
-        if (!cell || cell.proximityScore === 0) {
-            return { fillColor: '#f0f0f0', weight: 1, opacity: 0.2, fillOpacity: 0.1, color: '#ccc' };
-        }
-        
-        const intensity = maxProximity > 0 ? cell.proximityScore / maxProximity : 0;
-        
-        // Color gradient from light blue/green (far) to dark red (close)
-        // Higher proximity score (closer) = more intense red
-        const r = Math.min(255, Math.floor(intensity * 255));
-        const g = Math.min(255, Math.floor((1 - intensity) * 200));
-        const b = Math.min(255, Math.floor((1 - intensity) * 100));
-        
-        // Make opacity proportional to intensity
-        // Low scores = more translucent, high scores = more opaque
-        const minOpacity = 0.2;
-        const maxOpacity = 0.8;
-        const minFillOpacity = 0.15;
-        const maxFillOpacity = 0.7;
-        
-        const opacity = minOpacity + (maxOpacity - minOpacity) * intensity;
-        const fillOpacity = minFillOpacity + (maxFillOpacity - minFillOpacity) * intensity;
-        
-        return {
-            fillColor: `rgb(${r}, ${g}, ${b})`,
-            weight: 1,
-            opacity: opacity,
-            fillOpacity: fillOpacity,
-            color: '#666'
-        };
-    };
+    // Score the areas (in the worker when available), then color them and list the top areas
+    updateHeatMap();
+}
+
+// Build the polygon layer for the current mode's areas, styled with their last known scores
+function renderAreaLayer() {
+    if (gridLayer) {
+        map.removeLayer(gridLayer);
+    }
+    
+    const areas = getScoringAreas();
+    const maxScore = getMaxBohemianScore(areas);
     
-    // Convert grid cells to Leaflet polygons
-    const gridFeatures = gridCells
+    // Convert areas to Leaflet polygons
+    gridPolygons = new Map();
+    const gridFeatures = areas
         .filter(cell => cell.geometry && cell.geometry.length > 0)
         .map(cell => {
-            const coords = cell.geometry.map(p => [p.lat, p.lon]);
-            const style = gridCellStyle(cell);
-            
-            return L.polygon(coords, {
-                ...style,
+            const polygon = L.polygon(toLeafletLatLngs(cell.geometry), {
+                ...getGridCellStyle(cell, maxScore),
                 gridCellId: cell.id
             }).on('click', () => highlightGridCell(cell.id));
+            
+            if (!cell.isGridCell) {
+                polygon.bindTooltip(escapeHtml(cell.name), { sticky: true });
+            }
+            
+            gridPolygons.set(cell.id, polygon);
+            return polygon;
         });
     
-    // Create layer group for grid cells
-    gridLayer = L.layerGroup(gridFeatures).addTo(map);
+    // Create layer group for the areas
+    gridLayer = L.featureGroup(gridFeatures).addTo(map);
+}
+
+// Recalculate scores and restyle the existing grid polygons
+async function updateHeatMap() {
+    if (!gridLayer) return;
+    
+    const areas = getScoringAreas();
+    const isCurrent = await calculateBohemianScores(areas);
     
-    // Add business markers (filtered by active categories)
-    addBusinessMarkers();
+    // A newer scoring request or a mode switch will redraw instead
+    if (!isCurrent || areas !== getScoringAreas()) return;
     
-    map.addLayer(businessMarkers);
+    // Only touch polygons whose color actually changed
+    const maxScore = getMaxBohemianScore(areas);
+    areas.forEach(cell => {
+        const polygon = gridPolygons.get(cell.id);
+        if (!polygon) return;
+        
+        const style = getGridCellStyle(cell, maxScore);
+        if (polygon.options.fillColor !== style.fillColor || polygon.options.fillOpacity !== style.fillOpacity) {
+            polygon.setStyle(style);
+        }
+    });
     
-    // Render grid cell list (top proximity areas)
     renderGridCellList();
 }
 
-
 // Escape HTML to prevent XSS
 function escapeHtml(text) {
     const div = document.createElement('div');
@@ -1917,25 +2434,27 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
-// Render grid cell list in drawer (top proximity areas)
+// Render grid cell list in drawer (top scoring areas)
 function renderGridCellList() {
     const listContainer = document.getElementById('neighborhood-list');
     
-    // Only show top cells with proximity scores > 0
-    const topCells = gridCells
-        .filter(cell => cell.proximityScore > 0)
+    // Only show top areas with Bohemian Scores > 0
+    const topCells = getScoringAreas()
+        .filter(cell => cell.bohemianScore > 0)
         .slice(0, 50); // Show top 50 areas
     
     if (topCells.length === 0) {
-        listContainer.innerHTML = '<div class="loading">No vegan restaurants found in Portland.</div>';
+        const message = activeCategoryFilters.size === 0 ?
+            'Select at least one category to see scores.' :
+            'No scoring areas found. Try raising some category weights.';
+        listContainer.innerHTML = `<div class="loading">${message}</div>`;
         return;
     }
     
     listContainer.innerHTML = topCells.map((cell, index) => {
-        const proximityScore = cell.proximityScore.toFixed(1);
-        const distance = cell.minDistance < 1 ? 
-            `${(cell.minDistance * 1000).toFixed(0)}m` : 
-            `${cell.minDistance.toFixed(2)}km`;
+        const bohemianScore = cell.bohemianScore.toFixed(1);
+        const distance = formatDistance(cell.minDistance);
+        const areaName = cell.isGridCell ? `Area ${index + 1}` : escapeHtml(cell.name);
         const restaurantCount = cell.restaurantCount;
         
         // Show nearby business if available
@@ -1957,6 +2476,18 @@ function renderGridCellList() {
             })
             .filter(group => group.businesses.length > 0);
         
+        // Categories contributing most to the score
+        const topContributors = Object.entries(cell.categoryScores || {})
+            .filter(([catId]) => !isDetractorCategory(catId))
+            .map(([catId, score]) => ({ catId, contribution: score * getCategoryWeight(catId) }))
+            .filter(entry => entry.contribution > 0)
+            .sort((a, b) => b.contribution - a.contribution)
+            .slice(0, 3)
+            .map(entry => {
+                const catDef = categoryDefinitions[entry.catId];
+                return catDef ? `${escapeHtml(catDef.icon)} ${escapeHtml(catDef.name)}` : escapeHtml(entry.catId);
+            });
+        
         let businessListHtml = '';
         if (categoryGroups.length > 0) {
             categoryGroups.forEach(group => {
@@ -1968,7 +2499,7 @@ function renderGridCellList() {
                 businessListHtml += `
                     <div style="margin-top: 12px;">
                         <div style="font-weight: 600; margin-bottom: 4px;">
-                            ${group.icon} ${group.categoryName} (${group.businesses.length})
+                            ${escapeHtml(group.icon)} ${escapeHtml(group.categoryName)} (${group.businesses.length})
                         </div>
                         ${items}
                         ${more ? `<div class="restaurant-item">${more}</div>` : ''}
@@ -1980,13 +2511,20 @@ function renderGridCellList() {
         return `
             <div class="neighborhood-item" data-grid-cell-id="${cell.id}" data-index="${index}">
                 <div class="neighborhood-header">
-                    <span class="neighborhood-name">${index + 1}. Area ${index + 1}</span>
+                    <span class="neighborhood-name">${index + 1}. ${areaName}</span>
                     <div class="neighborhood-stats">
-                        <span class="density-score">${proximityScore}</span>
+                        <button type="button" class="area-pin-btn" data-cell-id="${cell.id}" aria-pressed="false" aria-label="Pin ${areaName} to compare" title="Pin to compare">📌</button>
+                        <span class="density-score">${bohemianScore}</span>
                     </div>
                 </div>
                 <div class="neighborhood-restaurants">
                     <div class="restaurant-item"><strong>Nearest:</strong> ${nearestName} (${distance})</div>
+                    ${topContributors.length > 0 ? `
+                        <div class="restaurant-item"><strong>Top categories:</strong> ${topContributors.join(', ')}</div>
+                    ` : ''}
+                    ${cell.detractorPenalty >= 0.1 ? `
+                        <div class="restaurant-item"><strong>Detractor penalty:</strong> -${cell.detractorPenalty.toFixed(1)}</div>
+                    ` : ''}
                     ${cell.businessCount > 0 ? `
                         <div style="margin-top: 8px; font-weight: 600;">Businesses in area: ${cell.businessCount}</div>
                         ${businessListHtml}
@@ -1996,10 +2534,18 @@ function renderGridCellList() {
         `;
     }).join('');
     
+    // Pin buttons add the area to the comparison without expanding it
+    listContainer.querySelectorAll('.area-pin-btn').forEach(button => {
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            togglePinnedArea(button.dataset.cellId);
+        });
+    });
+    
     // Add click handlers
     listContainer.querySelectorAll('.neighborhood-item').forEach(item => {
         item.addEventListener('click', function() {
-            const cellId = parseInt(this.dataset.gridCellId);
+            const cellId = this.dataset.gridCellId;
             const isExpanded = this.classList.contains('expanded');
             
             // Toggle expanded state
@@ -2011,29 +2557,1204 @@ function renderGridCellList() {
                 this.classList.add('expanded', 'active');
                 highlightGridCell(cellId);
             } else {
+                selectedCellId = null;
                 map.fitBounds(gridLayer.getBounds());
+                updateUrlState(true);
             }
         });
     });
+    
+    markSelectedCell();
+    updatePinnedAreas();
 }
 
-// Highlight a grid cell on the map
-function highlightGridCell(cellId) {
-    // Find and zoom to grid cell
-    const cell = gridCells.find(c => c.id === cellId);
+// Highlight a grid cell or neighborhood on the map, keeping an optional [lat, lon] point in view too
+function highlightGridCell(cellId, alsoShow = null) {
+    // Find and zoom to the area (ids from list items arrive as strings)
+    const cell = getScoringAreas().find(c => String(c.id) === String(cellId));
     if (!cell || !cell.geometry) return;
     
-    // Zoom to grid cell bounds
-    const coords = cell.geometry.map(p => [p.lat, p.lon]);
-    const bounds = L.latLngBounds(coords);
+    // Zoom to the area's bounds
+    const bounds = L.latLngBounds(
+        [cell.bounds.minLat, cell.bounds.minLon],
+        [cell.bounds.maxLat, cell.bounds.maxLon]
+    );
+    if (alsoShow) {
+        bounds.extend(alsoShow);
+    }
     map.fitBounds(bounds, { padding: [50, 50], maxZoom: 16 });
     
     // Update active state in list
+    selectedCellId = String(cell.id);
+    markSelectedCell();
+    updateUrlState(true);
+}
+
+// Mark the selected area in the drawer list
+function markSelectedCell() {
     document.querySelectorAll('.neighborhood-item').forEach(item => {
-        item.classList.remove('active');
-        if (parseInt(item.dataset.gridCellId) === cellId) {
-            item.classList.add('active');
+        const isSelected = item.dataset.gridCellId === selectedCellId;
+        item.classList.toggle('active', isSelected);
+        item.classList.toggle('expanded', isSelected);
+    });
+}
+
+// Find the nearest bohemian area: from the browser's location, or an address or map click when
+// the location is unavailable, ranking areas by score and distance together
+function initializeLocateControl() {
+    const modal = document.getElementById('locate-modal');
+    const form = document.getElementById('locate-form');
+    
+    document.getElementById('locate-btn').addEventListener('click', () => {
+        if (isPickingLocation) {
+            stopPickingLocation();
+            return;
+        }
+        locateUser();
+    });
+    
+    modal.querySelector('.modal-overlay').addEventListener('click', closeLocateModal);
+    modal.querySelector('.modal-close').addEventListener('click', closeLocateModal);
+    document.addEventListener('keydown', (e) => {
+        if (e.key !== 'Escape') return;
+        if (modal.classList.contains('active')) {
+            closeLocateModal();
+        } else if (isPickingLocation) {
+            stopPickingLocation();
+        }
+    });
+    
+    form.querySelector('.locate-pick-btn').addEventListener('click', () => {
+        closeLocateModal();
+        startPickingLocation();
+    });
+    
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const message = form.querySelector('.locate-message');
+        message.textContent = 'Searching...';
+        try {
+            const place = await geocodeAddress(form.elements.address.value.trim());
+            if (!place) {
+                message.textContent = `No match for that address in ${currentCity.name}. Try adding the street type or a landmark.`;
+                return;
+            }
+            closeLocateModal();
+            showNearestArea(place.lat, place.lon, { label: place.label });
+        } catch (error) {
+            console.warn('Address search failed:', error);
+            message.textContent = 'The address search is unavailable right now. Pick the location on the map instead.';
         }
     });
+    
+    map.on('click', (e) => {
+        if (!isPickingLocation) return;
+        stopPickingLocation();
+        showNearestArea(e.latlng.lat, e.latlng.lng, { label: 'Chosen location' });
+    });
+}
+
+// Ask the browser for the user's position, offering the address and map fallbacks if it fails
+function locateUser() {
+    if (!navigator.geolocation) {
+        openLocateModal('Your browser cannot share your location.');
+        return;
+    }
+    
+    const button = document.getElementById('locate-btn');
+    button.classList.add('loading');
+    navigator.geolocation.getCurrentPosition(
+        position => {
+            button.classList.remove('loading');
+            showNearestArea(position.coords.latitude, position.coords.longitude, {
+                label: 'You are here',
+                accuracy: position.coords.accuracy
+            });
+        },
+        error => {
+            button.classList.remove('loading');
+            const reason = error.code === error.PERMISSION_DENIED ?
+                'Location access was denied.' :
+                'Your location could not be found.';
+            openLocateModal(reason);
+        },
+        { enableHighAccuracy: false, timeout: GEOLOCATION_TIMEOUT_MS, maximumAge: 60000 }
+    );
 }
 
+function openLocateModal(message) {
+    const modal = document.getElementById('locate-modal');
+    const form = document.getElementById('locate-form');
+    form.querySelector('.locate-message').textContent =
+        `${message} Enter an address or pick a spot on the map to find the nearest bohemian area.`;
+    modal.classList.add('active');
+    form.elements.address.focus();
+}
+
+function closeLocateModal() {
+    document.getElementById('locate-modal').classList.remove('active');
+}
+
+// Let the next map click choose the location
+function startPickingLocation() {
+    isPickingLocation = true;
+    map.getContainer().classList.add('picking-location');
+    const button = document.getElementById('locate-btn');
+    button.classList.add('active');
+    button.querySelector('.filter-text').textContent = 'Tap the map';
+}
+
+function stopPickingLocation() {
+    isPickingLocation = false;
+    map.getContainer().classList.remove('picking-location');
+    const button = document.getElementById('locate-btn');
+    button.classList.remove('active');
+    button.querySelector('.filter-text').textContent = 'Nearest';
+}
+
+// Look up an address with Nominatim, preferring results inside the current city
+async function geocodeAddress(address) {
+    const { west, north, east, south } = currentCity.bbox;
+    const params = new URLSearchParams({
+        q: address,
+        format: 'json',
+        limit: '1',
+        viewbox: `${west},${north},${east},${south}`,
+        bounded: '1'
+    });
+    const response = await fetch(`${NOMINATIM_SEARCH_URL}?${params}`, {
+        headers: { 'Accept': 'application/json' }
+    });
+    if (!response.ok) {
+        throw new Error(`Nominatim returned HTTP ${response.status}`);
+    }
+    
+    const results = await response.json();
+    if (results.length === 0) return null;
+    return { lat: Number(results[0].lat), lon: Number(results[0].lon), label: results[0].display_name };
+}
+
+// Distance in km from a point to an area: 0 inside it, otherwise to its center
+function getDistanceToArea(lat, lon, area) {
+    if (isBusinessInArea({ lat, lon }, area)) return 0;
+    return GEOMETRY.calculateDistance(lat, lon, area.centerLat, area.centerLon);
+}
+
+// Scored areas ranked by score discounted for distance: the score halves every NEAREST_HALF_SCORE_KM
+function rankAreasNear(lat, lon) {
+    return getScoringAreas()
+        .filter(area => area.bohemianScore > 0)
+        .map(area => {
+            const distance = getDistanceToArea(lat, lon, area);
+            return { area, distance, rankScore: area.bohemianScore * Math.pow(0.5, distance / NEAREST_HALF_SCORE_KM) };
+        })
+        .sort((a, b) => b.rankScore - a.rankScore);
+}
+
+// Name of an area as shown in the drawer list ("Area 3" for grid cells, by score rank)
+function getAreaName(area) {
+    return area.isGridCell ? `Area ${getScoringAreas().indexOf(area) + 1}` : area.name;
+}
+
+// Mark a location on the map and highlight the best area near it, listing the runners-up
+function showNearestArea(lat, lon, { label, accuracy = null }) {
+    if (userLocationLayer) {
+        userLocationLayer.remove();
+    }
+    userLocationLayer = L.layerGroup().addTo(map);
+    if (accuracy) {
+        L.circle([lat, lon], { radius: accuracy, color: '#007bff', weight: 1, fillOpacity: 0.1, interactive: false })
+            .addTo(userLocationLayer);
+    }
+    const marker = L.circleMarker([lat, lon], {
+        radius: 8,
+        color: 'white',
+        weight: 3,
+        fillColor: '#007bff',
+        fillOpacity: 1
+    }).addTo(userLocationLayer);
+    
+    const ranked = rankAreasNear(lat, lon).slice(0, 3);
+    if (ranked.length === 0) {
+        marker.bindPopup(`<div class="popup-title">${escapeHtml(label)}</div><div class="popup-info">No scored areas yet. Select some categories to find one nearby.</div>`).openPopup();
+        map.setView([lat, lon], Math.max(map.getZoom(), 14));
+        return;
+    }
+    
+    const items = ranked.map(({ area, distance }, index) => `
+        <li>
+            <button type="button" class="nearest-area-btn" data-cell-id="${area.id}">
+                ${index === 0 ? '<strong>Best match:</strong> ' : ''}${escapeHtml(getAreaName(area))}
+            </button>
+            <span class="nearest-area-stats">Score ${area.bohemianScore.toFixed(1)} · ${distance === 0 ? 'you are in it' : `${distance.toFixed(1)} km away`}</span>
+        </li>
+    `).join('');
+    marker.bindPopup(`
+        <div class="popup-title">${escapeHtml(label)}</div>
+        <ol class="nearest-area-list">${items}</ol>
+    `);
+    marker.on('popupopen', (e) => {
+        e.popup.getElement().querySelectorAll('.nearest-area-btn').forEach(button => {
+            button.addEventListener('click', () => highlightGridCell(button.dataset.cellId, [lat, lon]));
+        });
+    });
+    
+    highlightGridCell(ranked[0].area.id, [lat, lon]);
+    marker.openPopup();
+}
+
+// Area comparison: up to MAX_PINNED_AREAS areas pinned from the drawer list, compared side by side
+function initializeAreaComparison() {
+    const modal = document.getElementById('compare-modal');
+    const bar = document.getElementById('compare-bar');
+    
+    bar.querySelector('.compare-open-btn').addEventListener('click', openAreaComparison);
+    bar.querySelector('.compare-clear-btn').addEventListener('click', clearPinnedAreas);
+    modal.querySelector('.modal-overlay').addEventListener('click', closeAreaComparison);
+    modal.querySelector('.modal-close').addEventListener('click', closeAreaComparison);
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && modal.classList.contains('active')) {
+            closeAreaComparison();
+        }
+    });
+}
+
+// Pin an area for comparison, or unpin it if it is already pinned
+function togglePinnedArea(cellId) {
+    const index = pinnedAreaIds.indexOf(cellId);
+    if (index !== -1) {
+        pinnedAreaIds.splice(index, 1);
+    } else if (pinnedAreaIds.length >= MAX_PINNED_AREAS) {
+        alert(`You can compare up to ${MAX_PINNED_AREAS} areas. Unpin one first.`);
+        return;
+    } else {
+        pinnedAreaIds.push(cellId);
+    }
+    updatePinnedAreas();
+}
+
+// Area ids differ between cities and scoring modes, so pins are dropped when either changes
+function clearPinnedAreas() {
+    pinnedAreaIds = [];
+    updatePinnedAreas();
+}
+
+// Reflect the pinned areas in the drawer list's pin buttons and the compare bar
+function updatePinnedAreas() {
+    document.querySelectorAll('.area-pin-btn').forEach(button => {
+        const isPinned = pinnedAreaIds.includes(button.dataset.cellId);
+        button.classList.toggle('pinned', isPinned);
+        button.setAttribute('aria-pressed', isPinned);
+    });
+    
+    const count = pinnedAreaIds.length;
+    const bar = document.getElementById('compare-bar');
+    bar.classList.toggle('hidden', count === 0);
+    bar.querySelector('.compare-bar-text').textContent = count < 2 ?
+        '1 area pinned · pin another to compare' :
+        `${count} areas pinned`;
+    bar.querySelector('.compare-open-btn').disabled = count < 2;
+}
+
+// The pinned areas in pinning order
+function getPinnedAreas() {
+    const areas = getScoringAreas();
+    return pinnedAreaIds
+        .map(cellId => areas.find(area => String(area.id) === cellId))
+        .filter(Boolean);
+}
+
+function openAreaComparison() {
+    const areas = getPinnedAreas();
+    if (areas.length < 2) return;
+    
+    // Categories scored for these areas, in the filter panel's order
+    const categoryIds = Object.keys(categoryDefinitions)
+        .filter(categoryId => areas.some(area => categoryId in (area.categoryScores || {})));
+    
+    const modal = document.getElementById('compare-modal');
+    modal.querySelector('.compare-chart').innerHTML = renderComparisonChart(areas, categoryIds);
+    modal.querySelector('.compare-table-wrap').innerHTML = renderComparisonTable(areas, categoryIds);
+    modal.classList.add('active');
+}
+
+function closeAreaComparison() {
+    document.getElementById('compare-modal').classList.remove('active');
+}
+
+// Format a distance in km as meters below 1 km ("—" when there is nothing to measure to)
+function formatDistance(distanceKm) {
+    if (!Number.isFinite(distanceKm)) return '—';
+    return distanceKm < 1 ? `${(distanceKm * 1000).toFixed(0)}m` : `${distanceKm.toFixed(2)}km`;
+}
+
+// Table of score, penalty, business counts and nearest-business distances, one column per area
+function renderComparisonTable(areas, categoryIds) {
+    const bestScore = Math.max(...areas.map(area => area.bohemianScore));
+    const row = (label, cells) => `<tr><th scope="row">${label}</th>${cells.join('')}</tr>`;
+    
+    const headerCells = areas.map((area, index) => `
+        <th scope="col">
+            <span class="compare-swatch" style="background: ${COMPARE_COLORS[index]}"></span>
+            ${escapeHtml(getAreaName(area))}
+        </th>
+    `);
+    
+    const rows = [
+        row('Bohemian Score', areas.map(area => `
+            <td class="${area.bohemianScore === bestScore ? 'compare-best' : ''}">${area.bohemianScore.toFixed(1)}</td>
+        `)),
+        row('Detractor penalty', areas.map(area => `<td>${area.detractorPenalty >= 0.1 ? `-${area.detractorPenalty.toFixed(1)}` : 'None'}</td>`)),
+        row('Businesses in area', areas.map(area => `<td>${area.businessCount || 0}</td>`)),
+        row('Nearest business', areas.map(area => `
+            <td>${area.nearestBusiness ? escapeHtml(area.nearestBusiness.name) : 'None'}
+                <span class="compare-distance">${formatDistance(area.minDistance)}</span></td>
+        `)),
+        ...categoryIds.map(categoryId => {
+            const categoryDef = categoryDefinitions[categoryId];
+            return row(`${escapeHtml(categoryDef.icon)} ${escapeHtml(categoryDef.name)}`, areas.map(area => `
+                <td>${(area.businessesByCategory?.[categoryId] || []).length}
+                    <span class="compare-distance">nearest ${formatDistance(area.nearestDistanceByCategory?.[categoryId])}</span></td>
+            `));
+        })
+    ];
+    
+    return `
+        <table class="compare-table">
+            <thead><tr><th></th>${headerCells.join('')}</tr></thead>
+            <tbody>${rows.join('')}</tbody>
+        </table>
+    `;
+}
+
+// SVG bar chart of each area's Bohemian Score and category scores, all on a 0-100 scale
+function renderComparisonChart(areas, categoryIds) {
+    const labelWidth = 170;
+    const plotWidth = 300;
+    const barHeight = 10;
+    const barGap = 2;
+    const groupGap = 12;
+    const groupHeight = areas.length * (barHeight + barGap) + groupGap;
+    
+    const groups = [{ label: 'Bohemian Score', values: areas.map(area => area.bohemianScore) }]
+        .concat(categoryIds.map(categoryId => {
+            const categoryDef = categoryDefinitions[categoryId];
+            const suffix = isDetractorCategory(categoryId) ? ' (detractor)' : '';
+            return {
+                label: `${categoryDef.icon} ${categoryDef.name}${suffix}`,
+                values: areas.map(area => 100 * (area.categoryScores?.[categoryId] || 0))
+            };
+        }));
+    
+    const bars = groups.map((group, groupIndex) => {
+        const top = groupIndex * groupHeight;
+        const label = `<text x="${labelWidth - 8}" y="${top + (groupHeight - groupGap) / 2 + 4}" text-anchor="end" class="compare-chart-label">${escapeHtml(group.label)}</text>`;
+        const groupBars = group.values.map((value, areaIndex) => {
+            const y = top + areaIndex * (barHeight + barGap);
+            const width = Math.max(1, plotWidth * Math.min(value, 100) / 100);
+            return `
+                <rect x="${labelWidth}" y="${y}" width="${width.toFixed(1)}" height="${barHeight}" fill="${COMPARE_COLORS[areaIndex]}"></rect>
+                <text x="${(labelWidth + width + 4).toFixed(1)}" y="${y + barHeight - 1}" class="compare-chart-value">${value.toFixed(0)}</text>
+            `;
+        }).join('');
+        return label + groupBars;
+    }).join('');
+    
+    const width = labelWidth + plotWidth + 30;
+    const height = groups.length * groupHeight;
+    return `
+        <svg class="compare-chart-svg" viewBox="0 0 ${width} ${height}" role="img" aria-label="Bohemian Score and category scores of the pinned areas, 0 to 100">
+            ${bars}
+        </svg>
+    `;
+}
+
+// Search: fuzzy matching over business names, addresses and cuisines and neighborhood names
+function initializeSearch() {
+    const input = document.getElementById('search-input');
+    const results = document.getElementById('search-results');
+    
+    input.addEventListener('focus', loadSearchNeighborhoods);
+    input.addEventListener('input', () => updateSearchResults(input.value));
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (searchMatches.length === 0) return;
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            setActiveSearchResult((activeSearchIndex + step + searchMatches.length) % searchMatches.length);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (searchMatches.length > 0) {
+                selectSearchResult(Math.max(activeSearchIndex, 0));
+            }
+        } else if (e.key === 'Escape') {
+            if (searchMatches.length > 0) {
+                hideSearchResults();
+            } else {
+                input.value = '';
+                input.blur();
+            }
+        }
+    });
+    input.addEventListener('blur', hideSearchResults);
+    
+    // Keep focus in the input while a result is clicked
+    results.addEventListener('mousedown', e => e.preventDefault());
+    results.addEventListener('click', (e) => {
+        const option = e.target.closest('.search-result');
+        if (option) {
+            selectSearchResult(Number(option.dataset.index));
+        }
+    });
+}
+
+// Lowercase, strip accents and apostrophes, and turn other punctuation into spaces
+function normalizeSearchText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/['’]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+// Searchable text fields ({ text, words, weight }) built from raw strings
+function createSearchFields(fields) {
+    return fields
+        .map(([value, weight]) => {
+            const text = normalizeSearchText(value);
+            return { text, words: text.split(' '), weight };
+        })
+        .filter(field => field.text !== '');
+}
+
+// Searchable entries for the current businesses, built the first time they are searched
+function getBusinessSearchEntries() {
+    if (!businessSearchEntries) {
+        businessSearchEntries = allBusinesses.map(business => {
+            const tags = business.tags || {};
+            const address = [tags['addr:housenumber'], tags['addr:street']].filter(Boolean).join(' ');
+            return {
+                type: 'business',
+                business,
+                fields: createSearchFields([
+                    [business.name, 1],
+                    [address, 0.8],
+                    [(tags.cuisine || '').replace(/[;_]/g, ' '), 0.6]
+                ])
+            };
+        });
+    }
+    return businessSearchEntries;
+}
+
+// Load the city's bundled neighborhood boundaries for search (the scored ones if already loaded)
+async function loadSearchNeighborhoods() {
+    if (searchNeighborhoods) return;
+    
+    const cityId = currentCity.id;
+    searchNeighborhoods = [];
+    const loaded = neighborhoods.length > 0 ?
+        neighborhoods :
+        await loadNeighborhoodsFromGeoJSON(currentCity.neighborhoodsFile);
+    // The city may have changed while the file loaded
+    if (cityId !== currentCity.id) return;
+    
+    searchNeighborhoods = loaded.map(neighborhood => ({
+        type: 'neighborhood',
+        neighborhood,
+        fields: createSearchFields([[neighborhood.name, 1]])
+    }));
+}
+
+// Forget the search entries when the data or city changes
+function resetSearch() {
+    businessSearchEntries = null;
+    searchNeighborhoods = null;
+    document.getElementById('search-input').value = '';
+    hideSearchResults();
+}
+
+// Smallest edit distance between a token and any prefix of a word, counting a swap of two
+// neighboring letters as one edit: "powel" matches "powells" exactly, "pwoells" is one edit away
+function getPrefixEditDistance(token, word) {
+    let beforePrevious = null;
+    let previous = Array.from({ length: word.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= token.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= word.length; j++) {
+            const cost = token[i - 1] === word[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (i > 1 && j > 1 && token[i - 1] === word[j - 2] && token[i - 2] === word[j - 1]) {
+                current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+            }
+        }
+        beforePrevious = previous;
+        previous = current;
+    }
+    return Math.min(...previous);
+}
+
+// How well a query token matches a field, from 1 (a word starts with it) down to 0 (no match)
+function matchSearchToken(token, field) {
+    if (field.words.some(word => word.startsWith(token))) return 1;
+    if (field.text.includes(token)) return 0.8;
+    
+    // Allow one typo in longer tokens, two in long ones
+    const maxEdits = token.length >= 8 ? 2 : token.length >= 5 ? 1 : 0;
+    if (maxEdits > 0 && field.words.some(word => getPrefixEditDistance(token, word) <= maxEdits)) return 0.5;
+    return 0;
+}
+
+// Score an entry against the query tokens; every token has to match some field
+function scoreSearchEntry(entry, tokens) {
+    let total = 0;
+    for (const token of tokens) {
+        const best = Math.max(0, ...entry.fields.map(field => matchSearchToken(token, field) * field.weight));
+        if (best === 0) return 0;
+        total += best;
+    }
+    return total / tokens.length;
+}
+
+function updateSearchResults(query) {
+    const tokens = normalizeSearchText(query).split(' ').filter(Boolean);
+    if (tokens.length === 0) {
+        hideSearchResults();
+        return;
+    }
+    
+    const entries = (searchNeighborhoods || []).concat(getBusinessSearchEntries());
+    searchMatches = entries
+        .map(entry => ({ entry, score: scoreSearchEntry(entry, tokens) }))
+        .filter(match => match.score > 0)
+        // Best match first; shorter names first among equals, as they match more of the query
+        .sort((a, b) => b.score - a.score || a.entry.fields[0].text.length - b.entry.fields[0].text.length)
+        .slice(0, MAX_SEARCH_RESULTS)
+        .map(match => match.entry);
+    activeSearchIndex = -1;
+    renderSearchResults();
+}
+
+function renderSearchResults() {
+    const input = document.getElementById('search-input');
+    const results = document.getElementById('search-results');
+    
+    if (searchMatches.length === 0) {
+        results.innerHTML = '<li class="search-empty">No matches</li>';
+    } else {
+        results.innerHTML = searchMatches.map((entry, index) => {
+            let icon = '🏘️';
+            let name = entry.neighborhood?.name;
+            let detail = 'Neighborhood';
+            if (entry.type === 'business') {
+                const business = entry.business;
+                const tags = business.tags || {};
+                const categoryDef = categoryDefinitions[getMarkerCategory(business)];
+                icon = categoryDef?.icon || '📍';
+                name = business.name;
+                detail = [categoryDef?.name, [tags['addr:housenumber'], tags['addr:street']].filter(Boolean).join(' ')]
+                    .filter(Boolean)
+                    .join(' · ');
+            }
+            return `
+                <li id="search-result-${index}" class="search-result" role="option" aria-selected="false" data-index="${index}">
+                    <span class="search-result-icon">${escapeHtml(icon)}</span>
+                    <span class="search-result-text">
+                        <span class="search-result-name">${escapeHtml(name)}</span>
+                        <span class="search-result-detail">${escapeHtml(detail)}</span>
+                    </span>
+                </li>
+            `;
+        }).join('');
+    }
+    
+    results.classList.remove('hidden');
+    input.setAttribute('aria-expanded', 'true');
+    input.removeAttribute('aria-activedescendant');
+}
+
+function setActiveSearchResult(index) {
+    activeSearchIndex = index;
+    const input = document.getElementById('search-input');
+    document.querySelectorAll('.search-result').forEach(option => {
+        const isActive = Number(option.dataset.index) === index;
+        option.classList.toggle('active', isActive);
+        option.setAttribute('aria-selected', isActive);
+        if (isActive) {
+            option.scrollIntoView({ block: 'nearest' });
+            input.setAttribute('aria-activedescendant', option.id);
+        }
+    });
+}
+
+function hideSearchResults() {
+    searchMatches = [];
+    activeSearchIndex = -1;
+    const input = document.getElementById('search-input');
+    document.getElementById('search-results').classList.add('hidden');
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
+}
+
+// Go to a search result: open a business's popup, or show a neighborhood
+function selectSearchResult(index) {
+    const entry = searchMatches[index];
+    if (!entry) return;
+    
+    const input = document.getElementById('search-input');
+    input.value = entry.type === 'business' ? entry.business.name : entry.neighborhood.name;
+    hideSearchResults();
+    input.blur();
+    
+    if (entry.type === 'business') {
+        showBusinessOnMap(entry.business);
+    } else {
+        showNeighborhoodOnMap(entry.neighborhood);
+    }
+}
+
+// Pan to a business and open its popup, unclustering its marker if needed
+function showBusinessOnMap(business) {
+    const marker = businessMarkersByBusiness.get(business);
+    if (marker) {
+        businessMarkers.zoomToShowLayer(marker, () => marker.openPopup());
+        return;
+    }
+    
+    // Its categories are filtered out, so there is no marker; show the popup on its own
+    map.setView([business.lat, business.lon], Math.max(map.getZoom(), 17));
+    L.popup()
+        .setLatLng([business.lat, business.lon])
+        .setContent(createBusinessPopup(business))
+        .openOn(map);
+}
+
+// Select a neighborhood in neighborhood mode; in grid mode, outline it
+function showNeighborhoodOnMap(neighborhood) {
+    if (scoringMode === 'neighborhoods') {
+        highlightGridCell(neighborhood.id);
+        return;
+    }
+    
+    const outline = L.polygon(toLeafletLatLngs(neighborhood.geometry), {
+        color: '#333',
+        weight: 3,
+        dashArray: '6 4',
+        fill: false
+    }).addTo(map);
+    map.fitBounds(outline.getBounds(), { padding: [50, 50], maxZoom: 16 });
+    outline.bindPopup(`<div class="popup-title">${escapeHtml(neighborhood.name)}</div>`).openPopup();
+    outline.on('popupclose', () => outline.remove());
+}
+
+// Read shareable state from the query string
+// Anything missing or invalid falls back to the defaults, so an empty query means the default view
+function readUrlState() {
+    const params = new URLSearchParams(window.location.search);
+    const lat = parseFloat(params.get('lat'));
+    const lon = parseFloat(params.get('lon'));
+    const zoom = parseInt(params.get('z'), 10);
+    const penalty = parseFloat(params.get('penalty'));
+    
+    // Opening hours are open=now, or open=fr,21:00 for a weekday and time
+    const open = (params.get('open') || '').match(/^(?:(now)|([a-z]{2}),([01]?\d|2[0-3]):([0-5]\d))$/);
+    const openDay = open && open[2] ? URL_WEEKDAYS.indexOf(open[2]) : -1;
+    
+    // Weights are listed as categoryId:weight pairs
+    const weights = {};
+    (params.get('w') || '').split(',').forEach(pair => {
+        const [catId, value] = pair.split(':');
+        const weight = parseFloat(value);
+        if (catId && Number.isFinite(weight)) {
+            weights[catId] = weight;
+        }
+    });
+    
+    return {
+        center: Number.isFinite(lat) && Number.isFinite(lon) ? [lat, lon] : null,
+        zoom: Number.isFinite(zoom) ? Math.min(Math.max(zoom, 1), MAX_ZOOM) : null,
+        mode: params.get('mode') === 'neighborhoods' ? 'neighborhoods' : 'grid',
+        categories: params.has('cats') ? params.get('cats').split(',').filter(Boolean) : null,
+        weights,
+        detractorPenalty: Number.isFinite(penalty) ? penalty : null,
+        cellId: params.get('cell') || null,
+        city: params.get('city'),
+        openingHours: {
+            mode: open && open[1] ? 'now' : openDay >= 0 ? 'at' : 'any',
+            day: openDay >= 0 ? openDay : FRIDAY_NIGHT.day,
+            time: openDay >= 0 ? `${open[3].padStart(2, '0')}:${open[4]}` : FRIDAY_NIGHT.time,
+            hideUnknown: params.get('openhide') === '1',
+            scoreOpenOnly: params.get('openscore') === '1'
+        },
+        attributes: (params.get('attrs') || '').split(',').filter(Boolean),
+        attributesApplyToScores: params.get('attrscore') === '1'
+    };
+}
+
+// Apply the category, opening hours and attribute filters and the scoring weights from URL state
+function applyUrlSettings(urlState) {
+    const categories = urlState.categories ?
+        urlState.categories.filter(catId => categoryDefinitions[catId]) :
+        getDefaultCategoryFilters();
+    activeCategoryFilters = new Set(categories);
+    
+    Object.keys(categoryDefinitions).forEach(catId => {
+        setCategoryWeight(catId, urlState.weights[catId] ?? DEFAULT_CATEGORY_WEIGHT);
+    });
+    setDetractorPenalty(urlState.detractorPenalty ?? DEFAULT_DETRACTOR_PENALTY);
+    
+    openingHoursFilter = urlState.openingHours;
+    openingHoursFilterTime = getOpeningHoursFilterTime();
+    updateOpenNowTimer();
+    
+    activeAttributeFilters = new Set(urlState.attributes
+        .filter(attributeId => ATTRIBUTE_FILTERS.some(attribute => attribute.id === attributeId)));
+    attributeFiltersApplyToScores = urlState.attributesApplyToScores;
+}
+
+// Serialize the map view, filters (categories, opening hours and attributes), weights, scoring mode and selected area, leaving out defaults
+function getUrlStateQuery() {
+    const params = new URLSearchParams();
+    if (currentCity.id !== CITY_CONFIG.defaultCity) {
+        params.set('city', currentCity.id);
+    }
+    
+    const center = map.getCenter();
+    params.set('lat', center.lat.toFixed(5));
+    params.set('lon', center.lng.toFixed(5));
+    params.set('z', map.getZoom());
+    
+    if (scoringMode !== 'grid') {
+        params.set('mode', scoringMode);
+    }
+    
+    const defaultCategories = getDefaultCategoryFilters();
+    const hasDefaultCategories = activeCategoryFilters.size === defaultCategories.length &&
+        defaultCategories.every(catId => activeCategoryFilters.has(catId));
+    if (!hasDefaultCategories) {
+        params.set('cats', [...activeCategoryFilters].join(','));
+    }
+    
+    const weights = Object.keys(categoryDefinitions)
+        .filter(catId => !isDetractorCategory(catId) && getCategoryWeight(catId) !== DEFAULT_CATEGORY_WEIGHT)
+        .map(catId => `${catId}:${getCategoryWeight(catId)}`);
+    if (weights.length > 0) {
+        params.set('w', weights.join(','));
+    }
+    
+    if (detractorPenaltyWeight !== DEFAULT_DETRACTOR_PENALTY) {
+        params.set('penalty', detractorPenaltyWeight);
+    }
+    
+    if (openingHoursFilter.mode !== 'any') {
+        params.set('open', openingHoursFilter.mode === 'now' ?
+            'now' :
+            `${URL_WEEKDAYS[openingHoursFilter.day]},${openingHoursFilter.time}`);
+    }
+    if (openingHoursFilter.hideUnknown) {
+        params.set('openhide', '1');
+    }
+    if (openingHoursFilter.scoreOpenOnly) {
+        params.set('openscore', '1');
+    }
+    
+    if (activeAttributeFilters.size > 0) {
+        params.set('attrs', [...activeAttributeFilters].join(','));
+    }
+    if (attributeFiltersApplyToScores) {
+        params.set('attrscore', '1');
+    }
+    
+    if (selectedCellId !== null) {
+        params.set('cell', selectedCellId);
+    }
+    
+    // Keep the separators readable in shared links
+    return params.toString().replace(/%2C/g, ',').replace(/%3A/g, ':');
+}
+
+// Sync the URL with the current state. User changes push a history entry so back/forward
+// steps through them; map moves only replace the current entry.
+function updateUrlState(push = false) {
+    if (isApplyingUrlState) return;
+    
+    pendingHistoryPush = pendingHistoryPush || push;
+    clearTimeout(urlStateTimer);
+    urlStateTimer = setTimeout(() => {
+        const query = `?${getUrlStateQuery()}`;
+        if (query !== window.location.search) {
+            const url = `${window.location.pathname}${query}${window.location.hash}`;
+            if (pendingHistoryPush) {
+                window.history.pushState(null, '', url);
+            } else {
+                window.history.replaceState(null, '', url);
+            }
+        }
+        pendingHistoryPush = false;
+    }, URL_STATE_DELAY_MS);
+}
+
+// Restore the state saved in the URL after back/forward navigation
+async function restoreUrlState() {
+    clearTimeout(urlStateTimer);
+    pendingHistoryPush = false;
+    
+    const urlState = readUrlState();
+    isApplyingUrlState = true;
+    try {
+        if (getCity(urlState.city).id !== currentCity.id) {
+            await setCity(urlState.city);
+        }
+        
+        map.setView(urlState.center || currentCity.center, urlState.zoom ?? currentCity.zoom);
+        applyUrlSettings(urlState);
+        initializeFilterPanel();
+        refreshBusinessMarkers();
+        buildBusinessIndexes(); // The opening hours and attribute filters may change which places are scored
+        
+        if (urlState.mode !== scoringMode) {
+            await setScoringMode(urlState.mode);
+        } else {
+            await updateHeatMap();
+        }
+        
+        selectedCellId = urlState.cellId;
+        markSelectedCell();
+    } finally {
+        isApplyingUrlState = false;
+    }
+}
+
+
+// Close the export menu
+function closeExportMenu() {
+    document.getElementById('export-menu').classList.remove('active');
+    document.getElementById('export-btn').setAttribute('aria-expanded', 'false');
+}
+
+// Run an export chosen from the export menu
+async function runExport(type) {
+    const exporters = {
+        image: exportMapImage,
+        areas: exportAreasGeoJSON,
+        businesses: exportBusinessesCSV
+    };
+    
+    if (!exporters[type]) return;
+    
+    try {
+        await exporters[type]();
+    } catch (error) {
+        console.error(`Error exporting ${type}:`, error);
+        alert('Export failed. Please try again.');
+    }
+}
+
+// Save a Blob as a file download
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Today's date as YYYY-MM-DD, for export file names
+function getExportDateStamp() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+// Export the scored areas for the current mode as GeoJSON, ranked by Bohemian Score
+// Each feature carries its score, detractor penalty and business counts per category
+function exportAreasGeoJSON() {
+    const categoryIds = Object.keys(categoryDefinitions);
+    const settings = getScoreSettings();
+    const features = getScoringAreas()
+        .filter(cell => cell.geometry && cell.geometry.length > 0)
+        .map((cell, index) => {
+            const properties = {
+                rank: index + 1,
+                id: cell.id,
+                name: cell.isGridCell ? `Area ${index + 1}` : cell.name,
+                bohemianScore: Number(cell.bohemianScore.toFixed(1)),
+                detractorPenalty: Number((cell.detractorPenalty || 0).toFixed(1)),
+                businessCount: cell.businessCount || 0
+            };
+            categoryIds.forEach(catId => {
+                properties[`count_${catId}`] = (cell.businessesByCategory?.[catId] || []).length;
+            });
+            
+            return { type: 'Feature', properties, geometry: geometryToGeoJSON(cell.geometry) };
+        });
+    
+    const geoJson = {
+        type: 'FeatureCollection',
+        metadata: {
+            city: currentCity.id,
+            exportedAt: new Date().toISOString(),
+            dataGeneratedAt: dataMetadata?.generatedAt || null,
+            scoringMode,
+            categories: settings.categoryIds,
+            weights: settings.weights,
+            detractorPenaltyWeight
+        },
+        features
+    };
+    
+    downloadBlob(
+        new Blob([JSON.stringify(geoJson)], { type: 'application/geo+json' }),
+        `bohemian-${currentCity.id}-${scoringMode === 'neighborhoods' ? 'neighborhoods' : 'grid'}-${getExportDateStamp()}.geojson`
+    );
+}
+
+// Convert a geometry to a GeoJSON Polygon (one part) or MultiPolygon, closing every ring
+function geometryToGeoJSON(geometry) {
+    const polygons = GEOMETRY.toMultiPolygon(geometry).map(rings => rings.map(ring => {
+        const coordinates = ring.map(point => [point.lon, point.lat]);
+        const first = coordinates[0];
+        const last = coordinates[coordinates.length - 1];
+        if (first[0] !== last[0] || first[1] !== last[1]) {
+            coordinates.push([first[0], first[1]]);
+        }
+        return coordinates;
+    }));
+    
+    return polygons.length === 1 ?
+        { type: 'Polygon', coordinates: polygons[0] } :
+        { type: 'MultiPolygon', coordinates: polygons };
+}
+
+// Export the businesses that pass the current filters as CSV
+function exportBusinessesCSV() {
+    const header = ['id', 'osm_type', 'name', 'categories', 'category_names', 'lat', 'lon', ...CSV_EXPORT_TAGS];
+    const rows = allBusinesses
+        .filter(isBusinessVisible)
+        .map(business => {
+            const tags = business.tags || {};
+            return [
+                business.id,
+                business.osmType || '',
+                business.name,
+                business.categories.join(';'),
+                business.categories.map(categoryId => categoryDefinitions[categoryId]?.name || categoryId).join(';'),
+                business.lat,
+                business.lon,
+                ...CSV_EXPORT_TAGS.map(tag => tags[tag] ?? '')
+            ];
+        });
+    
+    const csv = [header, ...rows].map(row => row.map(toCsvValue).join(',')).join('\r\n');
+    
+    // Byte order mark so spreadsheet apps read the file as UTF-8
+    downloadBlob(
+        new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8' }),
+        `bohemian-${currentCity.id}-businesses-${getExportDateStamp()}.csv`
+    );
+}
+
+// Quote a CSV field when it contains a separator, quote or line break
+function toCsvValue(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Export the current map view as a PNG with the area layer, visible markers,
+// a legend for the score color ramp and a title/date stamp
+async function exportMapImage() {
+    let blob;
+    try {
+        blob = await canvasToBlob(renderMapImage(true));
+    } catch (error) {
+        // Tiles served without CORS headers taint the canvas, so fall back to no basemap
+        console.warn('Could not include map tiles in the exported image:', error);
+        blob = await canvasToBlob(renderMapImage(false));
+    }
+    
+    downloadBlob(blob, `bohemian-heat-map-${currentCity.id}-${getExportDateStamp()}.png`);
+}
+
+// Encode a canvas as a PNG Blob
+function canvasToBlob(canvas) {
+    return new Promise((resolve, reject) => {
+        try {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('Could not encode image'));
+                }
+            }, 'image/png');
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+// Draw the current map view onto a canvas the size of the map (at screen resolution)
+function renderMapImage(includeTiles) {
+    const size = map.getSize();
+    const scale = window.devicePixelRatio || 1;
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(size.x * scale);
+    canvas.height = Math.round(size.y * scale);
+    
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    ctx.fillStyle = '#f2efe9';
+    ctx.fillRect(0, 0, size.x, size.y);
+    
+    if (includeTiles) {
+        drawImageTiles(ctx);
+    }
+    drawImageAreas(ctx);
+    drawImageMarkers(ctx);
+    drawImageLegend(ctx, size);
+    drawImageTitle(ctx);
+    
+    // OpenStreetMap attribution (bottom right)
+    ctx.font = '11px sans-serif';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'bottom';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.fillRect(size.x - 170, size.y - 18, 170, 18);
+    ctx.fillStyle = '#333';
+    ctx.fillText('© OpenStreetMap contributors', size.x - 6, size.y - 4);
+    
+    return canvas;
+}
+
+// Copy the loaded basemap tiles at their on-screen positions
+function drawImageTiles(ctx) {
+    const mapRect = map.getContainer().getBoundingClientRect();
+    map.getContainer().querySelectorAll('.leaflet-tile-pane img.leaflet-tile-loaded').forEach(tile => {
+        const rect = tile.getBoundingClientRect();
+        ctx.drawImage(tile, rect.left - mapRect.left, rect.top - mapRect.top, rect.width, rect.height);
+    });
+}
+
+// Draw the area polygons in view with the same style as the grid layer
+function drawImageAreas(ctx) {
+    const viewBounds = map.getBounds();
+    
+    getScoringAreas().forEach(cell => {
+        const polygon = gridPolygons.get(cell.id);
+        if (!polygon || !viewBounds.intersects(polygon.getBounds())) return;
+        
+        ctx.beginPath();
+        GEOMETRY.toMultiPolygon(cell.geometry).forEach(rings => {
+            rings.forEach(ring => {
+                ring.forEach((point, i) => {
+                    const { x, y } = map.latLngToContainerPoint([point.lat, point.lon]);
+                    if (i === 0) {
+                        ctx.moveTo(x, y);
+                    } else {
+                        ctx.lineTo(x, y);
+                    }
+                });
+                ctx.closePath();
+            });
+        });
+        
+        const style = polygon.options;
+        ctx.globalAlpha = style.fillOpacity;
+        ctx.fillStyle = style.fillColor;
+        ctx.fill('evenodd'); // Holes stay unfilled
+        ctx.globalAlpha = style.opacity;
+        ctx.strokeStyle = style.color;
+        ctx.lineWidth = style.weight;
+        ctx.stroke();
+    });
+    
+    ctx.globalAlpha = 1;
+}
+
+// Draw a marker for every business in the selected categories within the view
+// (unclustered, so the image shows each place)
+function drawImageMarkers(ctx) {
+    const viewBounds = map.getBounds();
+    ctx.font = '12px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    
+    allBusinesses.forEach(business => {
+        const categoryDef = categoryDefinitions[getMarkerCategory(business)];
+        if (!categoryDef || !isBusinessVisible(business) || !viewBounds.contains([business.lat, business.lon])) {
+            return;
+        }
+        
+        const { x, y } = map.latLngToContainerPoint([business.lat, business.lon]);
+        ctx.beginPath();
+        ctx.arc(x, y, 10, 0, 2 * Math.PI);
+        ctx.fillStyle = categoryDef.color;
+        ctx.fill();
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = 'white';
+        ctx.stroke();
+        ctx.fillText(categoryDef.icon, x, y + 1);
+    });
+}
+
+// Draw the Bohemian Score color ramp (bottom left)
+function drawImageLegend(ctx, size) {
+    const maxScore = getMaxBohemianScore(getScoringAreas());
+    const rampWidth = 160;
+    const left = 12;
+    const top = size.y - 70;
+    
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    ctx.fillRect(left, top, rampWidth + 24, 58);
+    
+    ctx.fillStyle = '#333';
+    ctx.font = 'bold 12px sans-serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText('Bohemian Score', left + 12, top + 8);
+    
+    // Sample the same style function the grid layer uses
+    const steps = 32;
+    for (let i = 0; i < steps; i++) {
+        const score = maxScore > 0 ? maxScore * (i + 1) / steps : 0;
+        const style = getGridCellStyle({ bohemianScore: score }, maxScore);
+        ctx.globalAlpha = Math.max(style.fillOpacity, 0.3);
+        ctx.fillStyle = style.fillColor;
+        ctx.fillRect(left + 12 + i * rampWidth / steps, top + 26, rampWidth / steps + 0.5, 10);
+    }
+    ctx.globalAlpha = 1;
+    
+    ctx.fillStyle = '#666';
+    ctx.font = '11px sans-serif';
+    ctx.fillText('0', left + 12, top + 40);
+    ctx.textAlign = 'right';
+    ctx.fillText(maxScore.toFixed(0), left + 12 + rampWidth, top + 40);
+}
+
+// Draw the title with the scoring mode and export/data dates (top left)
+function drawImageTitle(ctx) {
+    const modeLabel = scoringMode === 'neighborhoods' ? 'Neighborhoods' : 'Half-mile grid';
+    const dataDate = dataMetadata?.generatedAt ?
+        ` · Data from ${new Date(dataMetadata.generatedAt).toLocaleDateString()}` : '';
+    const subtitle = `${modeLabel} · Exported ${new Date().toLocaleDateString()}${dataDate}`;
+    const title = `Bohemian Heat Map: ${currentCity.name}`;
+    
+    ctx.font = 'bold 16px sans-serif';
+    const titleWidth = ctx.measureText(title).width;
+    ctx.font = '12px sans-serif';
+    const boxWidth = Math.max(titleWidth, ctx.measureText(subtitle).width) + 24;
+    
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    ctx.fillRect(12, 12, boxWidth, 50);
+    
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = '#333';
+    ctx.font = 'bold 16px sans-serif';
+    ctx.fillText(title, 24, 20);
+    ctx.fillStyle = '#666';
+    ctx.font = '12px sans-serif';
+    ctx.fillText(subtitle, 24, 42);
+}
@@ -0,0 +1,442 @@
+// Bohemian Heat Map - Category Definitions
+// Shared by the app (loaded with a script tag as CATEGORY_CONFIG) and fetch-data.js (require),
+// so the build and the UI always query and filter the same way. Needs cities.js loaded first.
+//
+// Each category has:
+// - name, icon, color: shown on the map, in the filters and in exports
+// - detractor: true if the category lowers the Bohemian Score instead of raising it
+// - selectors: Overpass selectors, each run within the city bbox (see buildQuery)
+// - match: rule an element's tags must pass to belong to the category (see matchesRule)
+//
+// Match rules are plain objects:
+// - { tag, equals }: tag value equals a string or one of an array of strings
+// - { tag, contains }: tag value contains a string (or one of an array), ignoring case
+// - { tag, exists }: tag is set (exists: true) or missing (exists: false)
+// - { chain }: the name matches a chain group from `chains`
+// - { any: [rules] }, { all: [rules] }, { not: rule }
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./cities.js'));
+    } else {
+        root.CATEGORY_CONFIG = factory(root.CITY_CONFIG);
+    }
+}(typeof self !== 'undefined' ? self : this, function (CITY_CONFIG) {
+    // Chain businesses, grouped so the detractor categories can match them by type
+    const chains = {
+        fastFood: [
+            'subway', 'mcdonald', 'taco bell', 'domino', 'burger king', 'pizza hut', 'wendy',
+            'dairy queen', 'little caesar', 'kfc', 'sonic', 'chipotle', 'arby', 'papa john',
+            'popeyes', 'chick-fil-a', 'chick fil a', 'panera', 'jack in the box'
+        ],
+        retail: [
+            'autozone', 'bi-mart', 'bi mart', 'target', 'michael\'s', 'michaels', 'ross',
+            'walmart', 'costco', 'fred meyer', 'home depot', 'lowe\'s', 'best buy', 'safeway',
+            'winco', 'dollar tree', 'big lots'
+        ],
+        coffee: [
+            'starbucks', 'dunkin', 'peet\'s', 'peets', 'tully\'s', 'tullys', 'coffee bean',
+            'dutch bros', 'scooter\'s coffee', 'scooters coffee', 'tim hortons', 'caribou coffee',
+            'biggby coffee', 'biggby', '7 brew', 'krispy kreme', 'shipley', 'shipley do-nuts',
+            'daylight donuts', 'pj\'s coffee', 'pjs coffee'
+        ],
+        cinema: ['regal', 'cinemark', 'amc', 'century']
+    };
+
+    // Chain groups kept out of every bohemian category (they are counted as detractors instead)
+    const excludedChainGroups = ['fastFood', 'retail', 'coffee'];
+    const excludedChains = excludedChainGroups.flatMap(group => chains[group]);
+
+    // Name keywords kept out of every bohemian category (mostly automotive shops in Creator Spaces)
+    const excludedKeywords = ['auto parts', 'truck parts', 'automotive', 'car parts'];
+
+    const FOOD_AMENITIES = '^(restaurant|cafe|fast_food|food_court|bar|bistro|pub)$';
+    const MEAL_AMENITIES = '^(restaurant|cafe|fast_food|food_court)$';
+    const BIG_BOX_SHOPS = '^(department_store|wholesale|supermarket|doityourself|hardware|variety_store|electronics|craft|car_parts)$';
+
+    const categories = {
+        'vegan-restaurants': {
+            name: 'Vegan Restaurants',
+            icon: '🌱',
+            color: '#4CAF50',
+            selectors: [
+                `node["diet:vegan"~"^(yes|only)$"]["amenity"~"${FOOD_AMENITIES}"]`,
+                'node["diet:vegan"~"^(yes|only)$"]["shop"="bakery"]',
+                `node["cuisine"~"vegan",i]["amenity"~"${FOOD_AMENITIES}"]`,
+                `way["diet:vegan"~"^(yes|only)$"]["amenity"~"${FOOD_AMENITIES}"]`,
+                'way["diet:vegan"~"^(yes|only)$"]["shop"="bakery"]',
+                `way["cuisine"~"vegan",i]["amenity"~"${FOOD_AMENITIES}"]`
+            ],
+            match: {
+                any: [
+                    { tag: 'diet:vegan', equals: ['yes', 'only'] },
+                    { tag: 'cuisine', contains: 'vegan' }
+                ]
+            }
+        },
+        'vegan-friendly': {
+            name: 'Vegan-Friendly Restaurants',
+            icon: '🥗',
+            color: '#8BC34A',
+            selectors: [
+                `node["diet:vegetarian"="yes"]["amenity"~"${MEAL_AMENITIES}"]`,
+                `node["diet:vegan:options"="yes"]["amenity"~"${MEAL_AMENITIES}"]`,
+                `way["diet:vegetarian"="yes"]["amenity"~"${MEAL_AMENITIES}"]`,
+                `way["diet:vegan:options"="yes"]["amenity"~"${MEAL_AMENITIES}"]`
+            ],
+            match: {
+                all: [
+                    {
+                        any: [
+                            { tag: 'diet:vegetarian', equals: 'yes' },
+                            { tag: 'diet:vegan:options', equals: 'yes' }
+                        ]
+                    },
+                    { tag: 'diet:vegan', exists: false },
+                    { not: { tag: 'cuisine', contains: 'vegan' } }
+                ]
+            }
+        },
+        'art-spaces': {
+            name: 'Art Spaces',
+            icon: '🎨',
+            color: '#E91E63',
+            selectors: [
+                'node["amenity"="arts_centre"]',
+                'node["tourism"="gallery"]',
+                'node["craft"~"artist|painter|sculptor",i]',
+                'node["studio"~"art",i]',
+                'way["amenity"="arts_centre"]',
+                'way["tourism"="gallery"]'
+            ],
+            match: {
+                any: [
+                    { tag: 'amenity', equals: 'arts_centre' },
+                    { tag: 'tourism', equals: 'gallery' },
+                    { tag: 'craft', contains: 'artist' },
+                    { tag: 'studio', contains: 'art' }
+                ]
+            }
+        },
+        'creator-spaces': {
+            name: 'Creator Spaces',
+            icon: '🛠️',
+            color: '#FF9800',
+            selectors: [
+                'node["craft"~"art|pottery|wood|metal",i]',
+                'node["shop"~"art|craft",i]',
+                'node["amenity"~"maker|workshop",i]',
+                'way["craft"~"art|pottery|wood|metal",i]',
+                'way["shop"~"art|craft",i]'
+            ],
+            match: {
+                any: [
+                    { tag: 'shop', contains: ['art', 'craft'] },
+                    { tag: 'craft', exists: true },
+                    { tag: 'amenity', contains: ['maker', 'workshop'] }
+                ]
+            }
+        },
+        'music-venues': {
+            name: 'Music Venues',
+            icon: '🎵',
+            color: '#9C27B0',
+            selectors: [
+                'node["amenity"="music_venue"]',
+                'node["amenity"~"nightclub|bar"]["music"~"live|yes",i]',
+                'node["leisure"~"music",i]',
+                'way["amenity"="music_venue"]',
+                'way["amenity"~"nightclub|bar"]["music"~"live|yes",i]'
+            ],
+            match: {
+                any: [
+                    { tag: 'amenity', equals: 'music_venue' },
+                    {
+                        all: [
+                            { tag: 'music', contains: 'live' },
+                            { tag: 'amenity', equals: ['bar', 'nightclub'] }
+                        ]
+                    }
+                ]
+            }
+        },
+        'record-stores': {
+            name: 'Independent Record Stores',
+            icon: '💿',
+            color: '#673AB7',
+            selectors: [
+                'node["shop"="music"]',
+                'way["shop"="music"]'
+            ],
+            match: { tag: 'shop', equals: 'music' }
+        },
+        'bookstores': {
+            name: 'Independent Bookstores',
+            icon: '📚',
+            color: '#795548',
+            selectors: [
+                'node["shop"="books"]',
+                'node["shop"="bookstore"]',
+                'way["shop"="books"]',
+                'way["shop"="bookstore"]'
+            ],
+            match: { tag: 'shop', equals: ['books', 'bookstore'] }
+        },
+        'gaming-comics': {
+            name: 'Gaming and Comics',
+            icon: '🎲',
+            color: '#3F51B5',
+            selectors: [
+                'node["shop"~"games|comics|video_games",i]',
+                'node["leisure"~"games",i]',
+                'way["shop"~"games|comics|video_games",i]'
+            ],
+            match: {
+                any: [
+                    { tag: 'shop', contains: ['game', 'comic'] },
+                    { tag: 'leisure', contains: 'game' }
+                ]
+            }
+        },
+        'vintage-shops': {
+            name: 'Vintage Shops',
+            icon: '👜',
+            color: '#FF5722',
+            selectors: [
+                'node["shop"~"second_hand|vintage|antiques",i]',
+                'node["shop"="clothes"]["second_hand"="yes"]',
+                'node["shop"="furniture"]["second_hand"="yes"]',
+                'way["shop"~"second_hand|vintage|antiques",i]',
+                'way["shop"="clothes"]["second_hand"="yes"]'
+            ],
+            match: {
+                any: [
+                    { tag: 'shop', contains: ['second_hand', 'vintage', 'antique'] },
+                    {
+                        all: [
+                            { tag: 'second_hand', equals: 'yes' },
+                            { tag: 'shop', equals: ['clothes', 'furniture'] }
+                        ]
+                    }
+                ]
+            }
+        },
+        'indie-coffee': {
+            name: 'Indie Coffee Shops',
+            icon: '☕',
+            color: '#8D6E63',
+            selectors: [
+                'node["amenity"="cafe"]',
+                'way["amenity"="cafe"]'
+            ],
+            // Coffee chains are left out by the shared chain exclusion
+            match: { tag: 'amenity', equals: 'cafe' }
+        },
+        'food-coops': {
+            name: 'Food Co-ops',
+            icon: '🥬',
+            color: '#689F38',
+            selectors: [
+                'node["shop"="supermarket"]["organic"="yes"]',
+                'node["shop"="supermarket"]["cooperative"="yes"]',
+                'node["shop"="health_food"]',
+                'way["shop"="supermarket"]["organic"="yes"]',
+                'way["shop"="health_food"]'
+            ],
+            match: {
+                any: [
+                    {
+                        all: [
+                            { tag: 'shop', equals: 'supermarket' },
+                            {
+                                any: [
+                                    { tag: 'organic', equals: 'yes' },
+                                    { tag: 'cooperative', equals: 'yes' }
+                                ]
+                            }
+                        ]
+                    },
+                    { tag: 'shop', equals: 'health_food' }
+                ]
+            }
+        },
+        'theaters': {
+            name: 'Community Theaters',
+            icon: '🎭',
+            color: '#F44336',
+            selectors: [
+                'node["amenity"="theatre"]',
+                'node["amenity"="cinema"]',
+                'way["amenity"="theatre"]',
+                'way["amenity"="cinema"]'
+            ],
+            // Major chain theaters are left out - approximate
+            match: {
+                all: [
+                    { tag: 'amenity', equals: ['theatre', 'cinema'] },
+                    { not: { chain: 'cinema' } }
+                ]
+            }
+        },
+        // Detractor categories lower the Bohemian Score instead of raising it
+        'fast-food-chains': {
+            name: 'Fast Food Chains',
+            icon: '🍔',
+            color: '#607D8B',
+            detractor: true,
+            selectors: [
+                'node["amenity"="fast_food"]',
+                'node["amenity"="restaurant"]["brand"]',
+                'way["amenity"="fast_food"]',
+                'way["amenity"="restaurant"]["brand"]'
+            ],
+            match: {
+                all: [
+                    { tag: 'amenity', equals: ['fast_food', 'restaurant'] },
+                    {
+                        any: [
+                            {
+                                all: [
+                                    { tag: 'amenity', equals: 'fast_food' },
+                                    { tag: 'brand', exists: true }
+                                ]
+                            },
+                            { chain: 'fastFood' }
+                        ]
+                    }
+                ]
+            }
+        },
+        'chain-coffee': {
+            name: 'Chain Coffee Shops',
+            icon: '🥤',
+            color: '#78909C',
+            detractor: true,
+            selectors: [
+                'node["amenity"="cafe"]',
+                'way["amenity"="cafe"]'
+            ],
+            match: {
+                all: [
+                    { tag: 'amenity', equals: 'cafe' },
+                    { chain: 'coffee' }
+                ]
+            }
+        },
+        'big-box-stores': {
+            name: 'Big-Box Stores',
+            icon: '🏬',
+            color: '#546E7A',
+            detractor: true,
+            selectors: [
+                `node["shop"~"${BIG_BOX_SHOPS}"]`,
+                `way["shop"~"${BIG_BOX_SHOPS}"]`
+            ],
+            match: {
+                any: [
+                    { tag: 'shop', equals: ['department_store', 'wholesale'] },
+                    {
+                        all: [
+                            { tag: 'shop', exists: true },
+                            { chain: 'retail' }
+                        ]
+                    }
+                ]
+            }
+        }
+    };
+
+    // Check if a name matches any chain in a list
+    function matchesChainName(name, chainList) {
+        const lowerName = (name || '').toLowerCase();
+        return chainList.some(chain => lowerName.includes(chain));
+    }
+
+    // Check an element's tags against a match rule (see the rule format above)
+    function matchesRule(rule, tags) {
+        if (rule.any) return rule.any.some(subRule => matchesRule(subRule, tags));
+        if (rule.all) return rule.all.every(subRule => matchesRule(subRule, tags));
+        if (rule.not) return !matchesRule(rule.not, tags);
+        if (rule.chain) return matchesChainName(tags.name, chains[rule.chain] || []);
+        
+        const value = tags[rule.tag];
+        const hasValue = value !== undefined && value !== '';
+        
+        if (rule.exists !== undefined) return hasValue === Boolean(rule.exists);
+        if (!hasValue) return false;
+        
+        if (rule.equals !== undefined) {
+            return [].concat(rule.equals).includes(value);
+        }
+        if (rule.contains !== undefined) {
+            const lowerValue = String(value).toLowerCase();
+            return [].concat(rule.contains).some(part => lowerValue.includes(String(part).toLowerCase()));
+        }
+        return false;
+    }
+
+    // Check if a business should be kept out of the bohemian categories
+    // (a chain, or an automotive business picked up by the Creator Spaces query)
+    function isExcludedChain(business) {
+        const name = (business.name || '').toLowerCase();
+        return matchesChainName(name, excludedChains) ||
+               excludedKeywords.some(keyword => name.includes(keyword));
+    }
+
+    // Build the Overpass query for a category within a bounding box
+    function buildQuery(categoryDef, bbox) {
+        const bboxFilter = CITY_CONFIG.formatBbox(bbox);
+        const statements = categoryDef.selectors
+            .map(selector => `  ${selector}(${bboxFilter});`)
+            .join('\n');
+        return `[out:json][timeout:90];\n(\n${statements}\n);\nout center tags;`;
+    }
+
+    // Category definitions for a city's bounding box, each with its Overpass query
+    function getCategoryDefinitions(bbox) {
+        const definitions = {};
+        Object.entries(categories).forEach(([categoryId, categoryDef]) => {
+            definitions[categoryId] = { ...categoryDef, query: buildQuery(categoryDef, bbox) };
+        });
+        return definitions;
+    }
+
+    // Merge per-category business lists into one business per OSM element with a `categories`
+    // array, in the order the categories were listed. Elements are matched by OSM type and id;
+    // data files written before osmType was stored fall back to id and position.
+    function mergeBusinessCategories(businesses) {
+        const merged = new Map();
+        businesses.forEach(business => {
+            const key = business.osmType ?
+                `${business.osmType}/${business.id}` :
+                `${business.id}@${business.lat},${business.lon}`;
+            const categoryIds = business.categories || [business.category];
+            const existing = merged.get(key);
+            
+            if (existing) {
+                categoryIds
+                    .filter(categoryId => !existing.categories.includes(categoryId))
+                    .forEach(categoryId => existing.categories.push(categoryId));
+                return;
+            }
+            
+            const { category, ...fields } = business;
+            merged.set(key, { ...fields, categories: [...categoryIds] });
+        });
+        return Array.from(merged.values());
+    }
+
+    return {
+        chains,
+        excludedChainGroups,
+        excludedChains,
+        excludedKeywords,
+        categories,
+        matchesChainName,
+        matchesRule,
+        isExcludedChain,
+        buildQuery,
+        getCategoryDefinitions,
+        mergeBusinessCategories
+    };
+}));
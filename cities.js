@@ -0,0 +1,89 @@
+// Bohemian Heat Map - City Configuration
+// Shared by the app (loaded with a script tag as CITY_CONFIG) and fetch-data.js (require).
+//
+// Each city has:
+// - name: shown in the city selector and titles
+// - bbox: area to fetch and grid, in degrees
+// - center, zoom: initial map view
+// - timeZone: IANA time zone the city's opening hours are read in
+// - osmAreaName: OSM name of the city boundary, used by the live neighborhood query
+//   (see getNeighborhoodQuery, shared by the app and fetch-data.js)
+// - dataFile, neighborhoodsFile: data files written by fetch-data.js, relative to the app
+// - neighborhoodSources: optional open data GeoJSON sources ({ url, nameProperty }) used
+//   when neither the bundled file nor OSM has neighborhood boundaries
+// Only add a city once its data files are built and committed (see DATA_UPDATE.md); without
+// them the app would fall back to live Overpass queries for every category.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CITY_CONFIG = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    // Relations used as neighborhoods, as Overpass selectors (see isNeighborhoodRelation)
+    const NEIGHBORHOOD_SELECTORS = [
+        'relation["boundary"="administrative"]["admin_level"="10"]',
+        'relation["place"="neighbourhood"]',
+        'relation["place"="suburb"]',
+        'relation["place"="quarter"]'
+    ];
+
+    // Format a bounding box as south,west,north,east for Overpass queries
+    function formatBbox(bbox) {
+        return `${bbox.south},${bbox.west},${bbox.north},${bbox.east}`;
+    }
+
+    // Overpass query for a city's neighborhood relations
+    // options:
+    // - scope: 'bbox' (default) to search the city's bbox, or 'area' to search within the OSM
+    //   boundary named osmAreaName
+    // - geom: true to return way coordinates ("out geom") instead of member ways and nodes
+    //   ("out body; >; out skel qt")
+    // - timeout: Overpass timeout in seconds (default 60)
+    function getNeighborhoodQuery(city, options = {}) {
+        const { scope = 'bbox', geom = false, timeout = 60 } = options;
+        const filter = scope === 'area' ? '(area.city)' : `(${formatBbox(city.bbox)})`;
+        const lines = [`[out:json][timeout:${timeout}];`];
+        if (scope === 'area') {
+            lines.push(`area[name="${city.osmAreaName}"][place="city"]->.city;`);
+        }
+        lines.push('(', ...NEIGHBORHOOD_SELECTORS.map(selector => `  ${selector}${filter};`), ');');
+        lines.push(...(geom ? ['(._;>;);', 'out geom;'] : ['out body;', '>;', 'out skel qt;']));
+        return lines.join('\n');
+    }
+
+    // Whether a relation returned by the neighborhood query is a neighborhood, not a member
+    // or parent relation that came with it
+    function isNeighborhoodRelation(tags = {}) {
+        return (tags.boundary === 'administrative' && tags.admin_level === '10') ||
+               tags.place === 'neighbourhood' ||
+               tags.place === 'suburb' ||
+               tags.place === 'quarter';
+    }
+
+    return {
+        formatBbox,
+        getNeighborhoodQuery,
+        isNeighborhoodRelation,
+        defaultCity: 'portland',
+        cities: {
+            portland: {
+                name: 'Portland',
+                bbox: { south: 45.43, west: -122.84, north: 45.65, east: -122.47 },
+                center: [45.515, -122.655],
+                zoom: 12,
+                timeZone: 'America/Los_Angeles',
+                osmAreaName: 'Portland',
+                dataFile: 'businesses-data.json',
+                neighborhoodsFile: 'neighborhoods.geojson',
+                neighborhoodSources: [
+                    {
+                        url: 'https://www.portlandoregon.gov/shared/cfm/gis/geoJSON.cfm?geojsonID=neighborhoods',
+                        nameProperty: 'NAME'
+                    }
+                ]
+            }
+        }
+    };
+}));
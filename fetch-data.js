@@ -2,354 +2,43 @@
 /**
  * Data Fetch Script for Bohemian Heat Map
  * 
- * This script fetches business data from Overpass API once and saves it to a JSON file.
+ * This script fetches business data and neighborhood boundaries from Overpass API once
+ * and saves them to each city's data files (see cities.js; for Portland these are
+ * businesses-data.json and neighborhoods.geojson).
  * Run this periodically (e.g., monthly) to update the data.
  * 
- * Usage: node fetch-data.js
+ * Usage: node fetch-data.js [--city <id>] [--all] [--refresh [--force]]
+ *   --city <id>  Fetch one city from cities.js (default: the default city)
+ *   --all        Fetch every city in cities.js
+ *   --refresh    Compare with the existing data file, report what changed per category,
+ *                prepend the report to the changelog next to the data file, and refuse to
+ *                overwrite the data if a category failed to load or dropped to zero
+ *   --force      With --refresh, save even if a category failed or dropped to zero
+ *   --endpoint <url>  Overpass interpreter to use instead of the defaults in overpass.js;
+ *                repeat to list mirrors to fail over to (or set OVERPASS_ENDPOINTS=url1,url2)
  */
 
+const http = require('http');
 const https = require('https');
 const fs = require('fs');
 const path = require('path');
+const CITY_CONFIG = require('./cities.js');
+const CATEGORY_CONFIG = require('./categories.js');
+const OVERPASS_CLIENT = require('./overpass.js');
+const GEOMETRY = require('./geometry.js');
 
-// Portland bounding box
-const PORTLAND_BBOX = {
-    south: 45.43,
-    west: -122.84,
-    north: 45.65,
-    east: -122.47
-};
-
-// Chain restaurants and inappropriate businesses to exclude
-const EXCLUDED_CHAINS = [
-    // Fast food chains
-    'subway', 'starbucks', 'mcdonald', 'dunkin', 'taco bell', 'domino',
-    'burger king', 'pizza hut', 'wendy', 'dairy queen', 'little caesar',
-    'kfc', 'sonic', 'chipotle', 'arby', 'papa john', 'popeyes',
-    'chick-fil-a', 'chick fil a', 'panera', 'jack in the box',
-    // Retail chains
-    'autozone', 'bi-mart', 'bi mart', 'target', 'michael\'s', 'michaels', 'ross',
-    // Coffee chains (excluded from Indie Coffee Shops)
-    'dutch bros', 'scooter\'s coffee', 'scooters coffee', 'tim hortons', 'caribou coffee',
-    'biggby coffee', 'biggby', '7 brew', 'krispy kreme', 'shipley', 'shipley do-nuts',
-    'daylight donuts', 'pj\'s coffee', 'pjs coffee'
-];
-
-// Get category definitions (same as in app.js)
-function getCategoryDefinitions() {
-    const bbox = `${PORTLAND_BBOX.south},${PORTLAND_BBOX.west},${PORTLAND_BBOX.north},${PORTLAND_BBOX.east}`;
-    
-    return {
-        'vegan-restaurants': {
-            name: 'Vegan Restaurants',
-            icon: '🌱',
-            color: '#4CAF50',
-            query: `
-                [out:json][timeout:90];
-                (
-                  node["diet:vegan"~"^(yes|only)$"]["amenity"~"^(restaurant|cafe|fast_food|food_court|bar|bistro|pub)$"]({{bbox}});
-                  node["diet:vegan"~"^(yes|only)$"]["shop"="bakery"]({{bbox}});
-                  node["cuisine"~"vegan",i]["amenity"~"^(restaurant|cafe|fast_food|food_court|bar|bistro|pub)$"]({{bbox}});
-                  way["diet:vegan"~"^(yes|only)$"]["amenity"~"^(restaurant|cafe|fast_food|food_court|bar|bistro|pub)$"]({{bbox}});
-                  way["diet:vegan"~"^(yes|only)$"]["shop"="bakery"]({{bbox}});
-                  way["cuisine"~"vegan",i]["amenity"~"^(restaurant|cafe|fast_food|food_court|bar|bistro|pub)$"]({{bbox}});
-                );
-                out center tags;
-            `.replace(/\{\{bbox\}\}/g, bbox),
-            filterFn: (tags) => {
-                const hasVeganDiet = tags['diet:vegan'] === 'yes' || tags['diet:vegan'] === 'only';
-                const cuisine = tags.cuisine ? tags.cuisine.toLowerCase() : '';
-                return hasVeganDiet || cuisine.includes('vegan');
-            }
-        },
-        'vegan-friendly': {
-            name: 'Vegan-Friendly Restaurants',
-            icon: '🥗',
-            color: '#8BC34A',
-            query: `
-                [out:json][timeout:90];
-                (
-                  node["diet:vegetarian"="yes"]["amenity"~"^(restaurant|cafe|fast_food|food_court)$"]({{bbox}});
-                  node["diet:vegan:options"="yes"]["amenity"~"^(restaurant|cafe|fast_food|food_court)$"]({{bbox}});
-                  way["diet:vegetarian"="yes"]["amenity"~"^(restaurant|cafe|fast_food|food_court)$"]({{bbox}});
-                  way["diet:vegan:options"="yes"]["amenity"~"^(restaurant|cafe|fast_food|food_court)$"]({{bbox}});
-                );
-                out center tags;
-            `.replace(/\{\{bbox\}\}/g, bbox),
-            filterFn: (tags) => {
-                return (tags['diet:vegetarian'] === 'yes' || tags['diet:vegan:options'] === 'yes') &&
-                       !tags['diet:vegan'] && !tags.cuisine?.toLowerCase().includes('vegan');
-            }
-        },
-        'art-spaces': {
-            name: 'Art Spaces',
-            icon: '🎨',
-            color: '#E91E63',
-            query: `
-                [out:json][timeout:90];
-                (
-                  node["amenity"="arts_centre"]({{bbox}});
-                  node["tourism"="gallery"]({{bbox}});
-                  node["craft"~"artist|painter|sculptor",i]({{bbox}});
-                  node["studio"~"art",i]({{bbox}});
-                  way["amenity"="arts_centre"]({{bbox}});
-                  way["tourism"="gallery"]({{bbox}});
-                );
-                out center tags;
-            `.replace(/\{\{bbox\}\}/g, bbox),
-            filterFn: (tags) => {
-                return tags.amenity === 'arts_centre' || 
-                       tags.tourism === 'gallery' ||
-                       tags.craft?.toLowerCase().includes('artist') ||
-                       tags.studio?.toLowerCase().includes('art');
-            }
-        },
-        'creator-spaces': {
-            name: 'Creator Spaces',
-            icon: '🛠️',
-            color: '#FF9800',
-            query: `
-                [out:json][timeout:90];
-                (
-                  node["craft"~"art|pottery|wood|metal",i]({{bbox}});
-                  node["shop"~"art|craft",i]({{bbox}});
-                  node["amenity"~"maker|workshop",i]({{bbox}});
-                  way["craft"~"art|pottery|wood|metal",i]({{bbox}});
-                  way["shop"~"art|craft",i]({{bbox}});
-                );
-                out center tags;
-            `.replace(/\{\{bbox\}\}/g, bbox),
-            filterFn: (tags) => {
-                // Basic category filter
-                const isCreatorSpace = tags.shop?.toLowerCase().includes('art') ||
-                       tags.shop?.toLowerCase().includes('craft') ||
-                       tags.craft ||
-                       tags.amenity?.toLowerCase().includes('maker') ||
-                       tags.amenity?.toLowerCase().includes('workshop');
-                
-                if (!isCreatorSpace) return false;
-                
-                // Exclude automotive-related shops and retail chains
-                const name = (tags.name || '').toLowerCase();
-                const automotiveKeywords = ['auto parts', 'truck parts', 'automotive', 'car parts'];
-                const excludedRetailChains = ['autozone', 'bi-mart', 'bi mart', 'target', 'michael\'s', 'michaels', 'ross'];
-                
-                // Exclude if matches automotive keywords or retail chains
-                if (automotiveKeywords.some(keyword => name.includes(keyword)) ||
-                    excludedRetailChains.some(chain => name.includes(chain))) {
-                    return false;
-                }
-                
-                return true;
-            }
-        },
-        'music-venues': {
-            name: 'Music Venues',
-            icon: '🎵',
-            color: '#9C27B0',
-            query: `
-                [out:json][timeout:90];
-                (
-                  node["amenity"="music_venue"]({{bbox}});
-                  node["amenity"~"nightclub|bar"]["music"~"live|yes",i]({{bbox}});
-                  node["leisure"~"music",i]({{bbox}});
-                  way["amenity"="music_venue"]({{bbox}});
-                  way["amenity"~"nightclub|bar"]["music"~"live|yes",i]({{bbox}});
-                );
-                out center tags;
-            `.replace(/\{\{bbox\}\}/g, bbox),
-            filterFn: (tags) => {
-                return tags.amenity === 'music_venue' ||
-                       (tags.music?.toLowerCase().includes('live') && (tags.amenity === 'bar' || tags.amenity === 'nightclub'));
-            }
-        },
-        'record-stores': {
-            name: 'Independent Record Stores',
-            icon: '💿',
-            color: '#673AB7',
-            query: `
-                [out:json][timeout:90];
-                (
-                  node["shop"="music"]({{bbox}});
-                  way["shop"="music"]({{bbox}});
-                );
-                out center tags;
-            `.replace(/\{\{bbox\}\}/g, bbox),
-            filterFn: (tags) => {
-                return tags.shop === 'music';
-            }
-        },
-        'bookstores': {
-            name: 'Independent Bookstores',
-            icon: '📚',
-            color: '#795548',
-            query: `
-                [out:json][timeout:90];
-                (
-                  node["shop"="books"]({{bbox}});
-                  node["shop"="bookstore"]({{bbox}});
-                  way["shop"="books"]({{bbox}});
-                  way["shop"="bookstore"]({{bbox}});
-                );
-                out center tags;
-            `.replace(/\{\{bbox\}\}/g, bbox),
-            filterFn: (tags) => {
-                return tags.shop === 'books' || tags.shop === 'bookstore';
-            }
-        },
-        'gaming-comics': {
-            name: 'Gaming and Comics',
-            icon: '🎲',
-            color: '#3F51B5',
-            query: `
-                [out:json][timeout:90];
-                (
-                  node["shop"~"games|comics|video_games",i]({{bbox}});
-                  node["leisure"~"games",i]({{bbox}});
-                  way["shop"~"games|comics|video_games",i]({{bbox}});
-                );
-                out center tags;
-            `.replace(/\{\{bbox\}\}/g, bbox),
-            filterFn: (tags) => {
-                return tags.shop?.toLowerCase().includes('game') ||
-                       tags.shop?.toLowerCase().includes('comic') ||
-                       tags.leisure?.toLowerCase().includes('game');
-            }
-        },
-        'vintage-shops': {
-            name: 'Vintage Shops',
-            icon: '👜',
-            color: '#FF5722',
-            query: `
-                [out:json][timeout:90];
-                (
-                  node["shop"~"second_hand|vintage|antiques",i]({{bbox}});
-                  node["shop"="clothes"]["second_hand"="yes"]({{bbox}});
-                  node["shop"="furniture"]["second_hand"="yes"]({{bbox}});
-                  way["shop"~"second_hand|vintage|antiques",i]({{bbox}});
-                  way["shop"="clothes"]["second_hand"="yes"]({{bbox}});
-                );
-                out center tags;
-            `.replace(/\{\{bbox\}\}/g, bbox),
-            filterFn: (tags) => {
-                return tags.shop?.toLowerCase().includes('second_hand') ||
-                       tags.shop?.toLowerCase().includes('vintage') ||
-                       tags.shop?.toLowerCase().includes('antique') ||
-                       (tags['second_hand'] === 'yes' && (tags.shop === 'clothes' || tags.shop === 'furniture'));
-            }
-        },
-        'indie-coffee': {
-            name: 'Indie Coffee Shops',
-            icon: '☕',
-            color: '#8D6E63',
-            query: `
-                [out:json][timeout:90];
-                (
-                  node["amenity"="cafe"]({{bbox}});
-                  way["amenity"="cafe"]({{bbox}});
-                );
-                out center tags;
-            `.replace(/\{\{bbox\}\}/g, bbox),
-            filterFn: (tags) => {
-                // Filter out chain coffee shops
-                const name = (tags.name || '').toLowerCase();
-                const chains = [
-                    'starbucks',
-                    'dunkin',
-                    'dunkin donuts',
-                    'peets',
-                    'peet\'s',
-                    'tullys',
-                    'coffee bean',
-                    'coffee bean & tea leaf',
-                    'dutch bros',
-                    'scooter\'s coffee',
-                    'scooters coffee',
-                    'tim hortons',
-                    'caribou coffee',
-                    'biggby coffee',
-                    'biggby',
-                    '7 brew',
-                    'krispy kreme',
-                    'shipley',
-                    'shipley do-nuts',
-                    'daylight donuts',
-                    'pj\'s coffee',
-                    'pjs coffee'
-                ];
-                return tags.amenity === 'cafe' && !chains.some(chain => name.includes(chain));
-            }
-        },
-        'food-coops': {
-            name: 'Food Co-ops',
-            icon: '🥬',
-            color: '#689F38',
-            query: `
-                [out:json][timeout:90];
-                (
-                  node["shop"="supermarket"]["organic"="yes"]({{bbox}});
-                  node["shop"="supermarket"]["cooperative"="yes"]({{bbox}});
-                  node["shop"="health_food"]({{bbox}});
-                  way["shop"="supermarket"]["organic"="yes"]({{bbox}});
-                  way["shop"="health_food"]({{bbox}});
-                );
-                out center tags;
-            `.replace(/\{\{bbox\}\}/g, bbox),
-            filterFn: (tags) => {
-                return (tags.shop === 'supermarket' && (tags.organic === 'yes' || tags.cooperative === 'yes')) ||
-                       tags.shop === 'health_food';
-            }
-        },
-        'theaters': {
-            name: 'Community Theaters',
-            icon: '🎭',
-            color: '#F44336',
-            query: `
-                [out:json][timeout:90];
-                (
-                  node["amenity"="theatre"]({{bbox}});
-                  node["amenity"="cinema"]({{bbox}});
-                  way["amenity"="theatre"]({{bbox}});
-                  way["amenity"="cinema"]({{bbox}});
-                );
-                out center tags;
-            `.replace(/\{\{bbox\}\}/g, bbox),
-            filterFn: (tags) => {
-                const name = (tags.name || '').toLowerCase();
-                const chains = ['regal', 'cinemark', 'amc', 'century'];
-                return (tags.amenity === 'theatre' || tags.amenity === 'cinema') && 
-                       !chains.some(chain => name.includes(chain));
-            }
-        }
-    };
-}
+// A refreshed business counts as moved when its position shifts by more than this
+const MOVE_THRESHOLD_KM = 0.025;
 
-// Check if a business should be excluded (is a chain restaurant or inappropriate business)
-function isExcludedChain(business) {
-    const name = (business.name || '').toLowerCase();
-    
-    // Check excluded chains list
-    if (EXCLUDED_CHAINS.some(chain => name.includes(chain))) {
-        return true;
-    }
-    
-    // Exclude automotive-related businesses (especially from Creator Spaces)
-    const automotiveKeywords = ['auto parts', 'truck parts', 'automotive', 'car parts'];
-    if (automotiveKeywords.some(keyword => name.includes(keyword))) {
-        return true;
-    }
-    
-    return false;
-}
-
-// Make HTTP POST request
-function makeRequest(url, data) {
+// POST a query over http or https, for the Overpass client (see overpass.js)
+function httpTransport(url, data, timeoutMs) {
     return new Promise((resolve, reject) => {
         const urlObj = new URL(url);
+        const client = urlObj.protocol === 'http:' ? http : https;
         const options = {
             hostname: urlObj.hostname,
-            port: urlObj.port || 443,
-            path: urlObj.pathname,
+            port: urlObj.port || (urlObj.protocol === 'http:' ? 80 : 443),
+            path: urlObj.pathname + urlObj.search,
             method: 'POST',
             headers: {
                 'Content-Type': 'text/plain',
@@ -357,24 +46,25 @@ function makeRequest(url, data) {
             }
         };
 
-        const req = https.request(options, (res) => {
+        const req = client.request(options, (res) => {
             let body = '';
             res.on('data', (chunk) => {
                 body += chunk;
             });
             res.on('end', () => {
-                if (res.statusCode === 200) {
-                    try {
-                        resolve(JSON.parse(body));
-                    } catch (e) {
-                        reject(new Error(`Failed to parse JSON: ${e.message}`));
-                    }
-                } else {
-                    reject(new Error(`HTTP ${res.statusCode}: ${res.statusMessage}`));
-                }
+                resolve({
+                    status: res.statusCode,
+                    statusText: res.statusMessage,
+                    retryAfter: res.headers['retry-after'],
+                    text: body
+                });
             });
         });
 
+        req.setTimeout(timeoutMs, () => {
+            req.destroy(new Error(`Timed out after ${timeoutMs / 1000} s`));
+        });
+
         req.on('error', (e) => {
             reject(e);
         });
@@ -384,113 +74,484 @@ function makeRequest(url, data) {
     });
 }
 
+// Overpass endpoints from --endpoint <url> (repeatable) or OVERPASS_ENDPOINTS (comma separated),
+// falling back to the mirrors listed in overpass.js
+function getOverpassEndpoints(args) {
+    const fromArgs = args
+        .map((arg, i) => (arg === '--endpoint' ? args[i + 1] : null))
+        .filter(Boolean);
+    if (fromArgs.length > 0) return fromArgs;
+    
+    const fromEnv = (process.env.OVERPASS_ENDPOINTS || '')
+        .split(',')
+        .map(url => url.trim())
+        .filter(Boolean);
+    return fromEnv.length > 0 ? fromEnv : OVERPASS_CLIENT.DEFAULT_ENDPOINTS;
+}
+
+// Overpass client shared by every request in this run
+const overpass = OVERPASS_CLIENT.createOverpassClient({
+    endpoints: getOverpassEndpoints(process.argv.slice(2)),
+    transport: httpTransport,
+    onRetry: logOverpassRetry
+});
+
+// Report a failed Overpass attempt and what happens next
+function logOverpassRetry({ label, attempt, endpoint, nextEndpoint, error, waitMs }) {
+    const next = nextEndpoint === endpoint ? 'retrying' : `trying ${new URL(nextEndpoint).host}`;
+    console.warn(`  ⚠ ${label}: attempt ${attempt} on ${new URL(endpoint).host} failed (${error.message}); ` +
+        `${next} in ${Math.round(waitMs / 1000)} s`);
+}
+
 // Load businesses for a specific category
+// Throws if the request fails, so a failed category is never mistaken for an empty one
 async function loadBusinessesByCategory(categoryId, categoryDef) {
     console.log(`Fetching ${categoryId}...`);
     
-    try {
-        const data = await makeRequest('https://overpass-api.de/api/interpreter', categoryDef.query);
-        const businessesMap = new Map();
+    const data = await overpass.query(categoryDef.query, { label: categoryId });
+    const businessesMap = new Map();
+    
+    data.elements.forEach(el => {
+        const tags = el.tags || {};
         
-        data.elements.forEach(el => {
-            const tags = el.tags || {};
+        // Apply category-specific filter
+        if (!CATEGORY_CONFIG.matchesRule(categoryDef.match, tags)) {
+            return;
+        }
+        
+        // Get coordinates
+        let lat, lon;
+        if (el.type === 'node' && el.lat && el.lon) {
+            lat = el.lat;
+            lon = el.lon;
+        } else if (el.type === 'way' && el.center) {
+            lat = el.center.lat;
+            lon = el.center.lon;
+        } else {
+            return;
+        }
+        
+        const name = tags.name || tags['name:en'] || 'Unnamed Business';
+        
+        // Exclude chain restaurants by name (detractor categories exist to collect them)
+        if (!categoryDef.detractor && CATEGORY_CONFIG.isExcludedChain({ name: name })) {
+            return;
+        }
+        
+        const key = `${lat.toFixed(6)},${lon.toFixed(6)}`;
+        
+        // Avoid duplicates
+        if (!businessesMap.has(key)) {
+            businessesMap.set(key, {
+                id: el.id,
+                osmType: el.type,
+                name: name,
+                lat: lat,
+                lon: lon,
+                tags: tags,
+                type: 'business'
+            });
+        }
+    });
+    
+    const businesses = Array.from(businessesMap.values());
+    console.log(`  ✓ Loaded ${businesses.length} businesses for ${categoryId}`);
+    return businesses;
+}
+
+// Fetch a city's neighborhood relations and assemble them into GeoJSON features
+async function loadNeighborhoods(city) {
+    console.log('Fetching neighborhoods...');
+    
+    const query = CITY_CONFIG.getNeighborhoodQuery(city, { timeout: 120 });
+    const data = await overpass.query(query, { label: 'neighborhoods' });
+    
+    // Group elements by type
+    const relations = new Map();
+    const ways = new Map();
+    const nodes = new Map();
+    
+    data.elements.forEach(el => {
+        if (el.type === 'relation') {
+            relations.set(el.id, el);
+        } else if (el.type === 'way') {
+            ways.set(el.id, el);
+        } else if (el.type === 'node') {
+            nodes.set(el.id, el);
+        }
+    });
+    
+    const features = Array.from(relations.values())
+        .filter(rel => CITY_CONFIG.isNeighborhoodRelation(rel.tags))
+        .map(rel => {
+            const geometry = GEOMETRY.buildGeometryFromRelationData(rel, ways, nodes);
             
-            // Apply category-specific filter
-            if (!categoryDef.filterFn(tags)) {
-                return;
-            }
+            if (!geometry || geometry.length === 0 || GEOMETRY.calculateArea(geometry) <= 0.001) return null;
             
-            // Get coordinates
-            let lat, lon;
-            if (el.type === 'node' && el.lat && el.lon) {
-                lat = el.lat;
-                lon = el.lon;
-            } else if (el.type === 'way' && el.center) {
-                lat = el.center.lat;
-                lon = el.center.lon;
-            } else {
-                return;
-            }
+            // Keep every part and hole; a single part is written as a plain Polygon
+            const coordinates = geometry.map(polygon => polygon.map(ring => ring.map(p => [p.lon, p.lat])));
             
-            const name = tags.name || tags['name:en'] || 'Unnamed Business';
+            return {
+                type: 'Feature',
+                id: rel.id,
+                properties: {
+                    name: rel.tags?.name || rel.tags?.['name:en'] || 'Unnamed Neighborhood',
+                    osmId: rel.id
+                },
+                geometry: coordinates.length === 1 ?
+                    { type: 'Polygon', coordinates: coordinates[0] } :
+                    { type: 'MultiPolygon', coordinates: coordinates }
+            };
+        })
+        .filter(f => f !== null);
+    
+    console.log(`  ✓ Built ${features.length} neighborhoods from ${relations.size} relations`);
+    return features;
+}
+
+// Pick the cities to fetch from the command line arguments
+function getRequestedCities(args) {
+    if (args.includes('--all')) {
+        return Object.keys(CITY_CONFIG.cities);
+    }
+    
+    const cityIndex = args.indexOf('--city');
+    const cityId = cityIndex >= 0 ? args[cityIndex + 1] : CITY_CONFIG.defaultCity;
+    if (!CITY_CONFIG.cities[cityId]) {
+        throw new Error(`Unknown city "${cityId}". Available: ${Object.keys(CITY_CONFIG.cities).join(', ')}`);
+    }
+    return [cityId];
+}
+
+// Write a data file relative to the app, creating its directory if needed
+function writeDataFile(relativePath, contents) {
+    const outputPath = path.join(__dirname, relativePath);
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, contents);
+}
+
+// Read a JSON data file relative to the app, or null if it does not exist yet
+function readDataFile(relativePath) {
+    const filePath = path.join(__dirname, relativePath);
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// OSM element a business came from, e.g. "node/123"
+function getBusinessKey(business) {
+    return `${business.osmType}/${business.id}`;
+}
+
+// Whether businesses can be matched by OSM element: files written before osmType was stored only
+// have the numeric id, which a node and a way can share
+function canCompareBusinesses(businesses) {
+    return businesses.every(business => business.osmType);
+}
+
+// Tags whose values differ between two versions of a business
+function getChangedTags(previousTags = {}, currentTags = {}) {
+    const keys = new Set([...Object.keys(previousTags), ...Object.keys(currentTags)]);
+    return Array.from(keys).filter(key => previousTags[key] !== currentTags[key]).sort();
+}
+
+// Compare the previous and new businesses by OSM element, per category
+// Returns { [categoryId]: { before, after, added, removed, moved, retagged } } where the lists hold
+// { key, name } entries; moved entries add distanceMeters and re-tagged ones changedTags.
+// When the previous businesses can't be matched (see canCompareBusinesses) only the counts are filled in.
+function diffBusinesses(previousBusinesses, currentBusinesses, categoryIds) {
+    const previous = CATEGORY_CONFIG.mergeBusinessCategories(previousBusinesses);
+    const comparable = canCompareBusinesses(previous);
+    const previousByKey = new Map(comparable ? previous.map(business => [getBusinessKey(business), business]) : []);
+    const currentByPrevious = new Map();
+    
+    const changes = {};
+    categoryIds.forEach(categoryId => {
+        changes[categoryId] = { before: 0, after: 0, added: [], removed: [], moved: [], retagged: [] };
+    });
+    
+    currentBusinesses.forEach(business => {
+        const previousBusiness = previousByKey.get(getBusinessKey(business));
+        if (previousBusiness) {
+            currentByPrevious.set(previousBusiness, business);
+        }
+        const entry = { key: getBusinessKey(business), name: business.name };
+        
+        business.categories.forEach(categoryId => {
+            const change = changes[categoryId];
+            if (!change) return;
+            change.after++;
+            if (!comparable) return;
             
-            // Exclude chain restaurants by name
-            if (isExcludedChain({ name: name })) {
+            if (!previousBusiness || !previousBusiness.categories.includes(categoryId)) {
+                change.added.push(entry);
                 return;
             }
             
-            const key = `${lat.toFixed(6)},${lon.toFixed(6)}`;
+            const distanceKm = GEOMETRY.calculateDistance(previousBusiness.lat, previousBusiness.lon, business.lat, business.lon);
+            if (distanceKm > MOVE_THRESHOLD_KM) {
+                change.moved.push({ ...entry, distanceMeters: Math.round(distanceKm * 1000) });
+            }
+            const changedTags = getChangedTags(previousBusiness.tags, business.tags);
+            if (changedTags.length > 0) {
+                change.retagged.push({ ...entry, changedTags });
+            }
+        });
+    });
+    
+    previous.forEach(business => {
+        const currentBusiness = currentByPrevious.get(business);
+        business.categories.forEach(categoryId => {
+            const change = changes[categoryId];
+            if (!change) return;
+            change.before++;
+            if (!comparable) return;
             
-            // Avoid duplicates
-            if (!businessesMap.has(key)) {
-                businessesMap.set(key, {
-                    id: el.id,
-                    name: name,
-                    lat: lat,
-                    lon: lon,
-                    tags: tags,
-                    type: 'business'
-                });
+            if (!currentBusiness || !currentBusiness.categories.includes(categoryId)) {
+                change.removed.push({ key: getBusinessKey(business), name: business.name });
             }
         });
+    });
+    
+    return changes;
+}
+
+// Reasons not to overwrite the previous data: categories that failed to load or dropped to zero
+function findRefreshProblems(changes, failedCategories) {
+    const problems = failedCategories.map(categoryId => `${categoryId} failed to load`);
+    Object.entries(changes).forEach(([categoryId, change]) => {
+        if (change.before > 0 && change.after === 0 && !failedCategories.includes(categoryId)) {
+            problems.push(`${categoryId} dropped from ${change.before} businesses to 0`);
+        }
+    });
+    return problems;
+}
+
+// Compare a refresh with the previous businesses and decide whether to save it
+// Returns { changes, comparable, problems, save }: with problems the previous file is kept
+// unless options.force is set
+function checkRefresh(previousBusinesses, businesses, categoryIds, failedCategories, options = {}) {
+    const changes = diffBusinesses(previousBusinesses, businesses, categoryIds);
+    const problems = findRefreshProblems(changes, failedCategories);
+    return {
+        changes,
+        comparable: canCompareBusinesses(previousBusinesses),
+        problems,
+        save: problems.length === 0 || Boolean(options.force)
+    };
+}
+
+// Print a one-line summary of the changes in each category (just the counts if the
+// businesses could not be compared)
+function printChangeSummary(changes, comparable) {
+    console.log('\nChanges since the previous data file:');
+    Object.entries(changes).forEach(([categoryId, change]) => {
+        const details = comparable ?
+            ` (+${change.added.length} −${change.removed.length}, ` +
+            `${change.moved.length} moved, ${change.retagged.length} re-tagged)` : '';
+        console.log(`  ${categoryId}: ${change.before} → ${change.after}${details}`);
+    });
+}
+
+// Changelog written next to a data file, e.g. businesses-data.changelog.md
+function getChangelogPath(dataFile) {
+    return dataFile.replace(/\.json$/, '') + '.changelog.md';
+}
+
+// Format one refresh as a Markdown changelog entry
+function formatChangelogEntry(changes, categories, previousMetadata, metadata, comparable = true) {
+    const comparison = comparable ? '' :
+        ' That file did not store OSM element types, so this refresh replaced it in full and only the counts are compared.';
+    const lines = [
+        `## ${metadata.generatedAt}`,
+        '',
+        `Compared with data generated at ${previousMetadata?.generatedAt || 'unknown'}.${comparison}`,
+        '',
+        '| Category | Before | After | Added | Removed | Moved | Re-tagged |',
+        '| --- | ---: | ---: | ---: | ---: | ---: | ---: |'
+    ];
+    Object.entries(changes).forEach(([categoryId, change]) => {
+        lines.push(`| ${categories[categoryId].name} | ${change.before} | ${change.after} | ` +
+            `${change.added.length} | ${change.removed.length} | ${change.moved.length} | ${change.retagged.length} |`);
+    });
+    
+    const describe = entry => `${entry.name} (${entry.key})`;
+    Object.entries(changes).forEach(([categoryId, change]) => {
+        const details = [
+            ['Added', change.added.map(describe)],
+            ['Removed', change.removed.map(describe)],
+            ['Moved', change.moved.map(entry => `${entry.name} (${entry.key}, ${entry.distanceMeters} m)`)],
+            ['Re-tagged', change.retagged.map(entry => `${entry.name} (${entry.key}: ${entry.changedTags.join(', ')})`)]
+        ].filter(([, items]) => items.length > 0);
+        if (details.length === 0) return;
         
-        const businesses = Array.from(businessesMap.values());
-        console.log(`  ✓ Loaded ${businesses.length} businesses for ${categoryId}`);
-        return businesses;
-    } catch (error) {
-        console.error(`  ✗ Error loading ${categoryId}:`, error.message);
-        return [];
-    }
+        lines.push('', `### ${categories[categoryId].name}`, '');
+        details.forEach(([label, items]) => {
+            lines.push(`- **${label}:** ${items.join('; ')}`);
+        });
+    });
+    
+    return lines.join('\n') + '\n';
 }
 
-// Main function
-async function main() {
-    console.log('Starting data fetch for Bohemian Heat Map...\n');
+// Add a refresh to the top of the city's changelog, newest first
+function writeChangelog(city, entry) {
+    const changelogFile = getChangelogPath(city.dataFile);
+    const changelogPath = path.join(__dirname, changelogFile);
+    const title = `# ${city.name} Data Changelog\n`;
+    const existing = fs.existsSync(changelogPath) ?
+        fs.readFileSync(changelogPath, 'utf8').replace(/^# .*\n/, '').trimStart() : '';
     
-    const categories = getCategoryDefinitions();
+    writeDataFile(changelogFile, `${title}\n${entry}${existing ? '\n' + existing : ''}`);
+    console.log(`✓ Added the changes to ${changelogFile}`);
+}
+
+// Fetch and save businesses and neighborhoods for one city
+// options: { refresh, force } from the command line (see the usage at the top)
+async function fetchCityData(cityId, options = {}) {
+    const city = CITY_CONFIG.cities[cityId];
+    console.log(`\n=== ${city.name} ===\n`);
+    
+    const categories = CATEGORY_CONFIG.getCategoryDefinitions(city.bbox);
     const allBusinesses = [];
+    const failedCategories = [];
     
     // Fetch businesses for each category sequentially to avoid rate limiting
     for (const [categoryId, categoryDef] of Object.entries(categories)) {
-        const businesses = await loadBusinessesByCategory(categoryId, categoryDef);
-        businesses.forEach(b => b.category = categoryId);
-        allBusinesses.push(...businesses);
+        try {
+            const businesses = await loadBusinessesByCategory(categoryId, categoryDef);
+            businesses.forEach(b => b.category = categoryId);
+            allBusinesses.push(...businesses);
+        } catch (error) {
+            console.error(`  ✗ Error loading ${categoryId}:`, error.message);
+            failedCategories.push(categoryId);
+        }
         
         // Small delay between requests to be nice to the API
         await new Promise(resolve => setTimeout(resolve, 1000));
     }
     
-    // Final filter to ensure no excluded chains
-    const filteredBusinesses = allBusinesses.filter(b => !isExcludedChain(b));
+    // Final filter to ensure no excluded chains made it into the bohemian categories
+    const filteredBusinesses = allBusinesses.filter(b => categories[b.category].detractor || !CATEGORY_CONFIG.isExcludedChain(b));
     const excludedCount = allBusinesses.length - filteredBusinesses.length;
     
     if (excludedCount > 0) {
-        console.log(`\nExcluded ${excludedCount} chain restaurants`);
+        console.log(`\nExcluded ${excludedCount} chain businesses from bohemian categories`);
     }
     
+    // Merge elements found by several category queries (e.g. a vegan cafe) into one business
+    const businesses = CATEGORY_CONFIG.mergeBusinessCategories(filteredBusinesses);
+    const multiCategoryCount = businesses.filter(b => b.categories.length > 1).length;
+    console.log(`Merged into ${businesses.length} businesses (${multiCategoryCount} in more than one category)`);
+    
     // Create output object with metadata
     const output = {
         metadata: {
             generatedAt: new Date().toISOString(),
-            portlandBbox: PORTLAND_BBOX,
-            totalBusinesses: filteredBusinesses.length,
+            city: cityId,
+            bbox: city.bbox,
+            totalBusinesses: businesses.length,
             categories: Object.keys(categories).length,
-            excludedChains: EXCLUDED_CHAINS.length
+            detractorCategories: Object.values(categories).filter(c => c.detractor).length,
+            excludedChains: CATEGORY_CONFIG.excludedChains.length
         },
-        businesses: filteredBusinesses
+        businesses: businesses
     };
     
+    // In refresh mode, report what changed and keep the previous file if the fetch looks broken
+    let changelogEntry = null;
+    if (options.refresh) {
+        const previous = readDataFile(city.dataFile);
+        const { changes, comparable, problems, save } =
+            checkRefresh(previous?.businesses || [], businesses, Object.keys(categories), failedCategories, options);
+        if (!comparable) {
+            console.warn(`\n⚠ ${city.dataFile} was written before businesses stored their OSM element type, so ` +
+                'nodes and ways with the same id can\'t be told apart. It will be replaced in full, and the ' +
+                'changelog only compares the counts per category.');
+        }
+        printChangeSummary(changes, comparable);
+        
+        if (!save) {
+            console.error(`\n✗ Not overwriting ${city.dataFile}:`);
+            problems.forEach(problem => console.error(`  - ${problem}`));
+            console.error('  Run the refresh again later, or add --force to save anyway.');
+            process.exitCode = 1;
+            return;
+        }
+        changelogEntry = formatChangelogEntry(changes, categories, previous?.metadata, output.metadata, comparable);
+    } else if (failedCategories.length > 0) {
+        console.warn(`\n⚠ These categories failed to load and are empty in this file: ${failedCategories.join(', ')}`);
+    }
+    
     // Save to JSON file
-    const outputPath = path.join(__dirname, 'businesses-data.json');
-    fs.writeFileSync(outputPath, JSON.stringify(output, null, 2));
+    writeDataFile(city.dataFile, JSON.stringify(output, null, 2));
     
-    console.log(`\n✓ Successfully saved ${filteredBusinesses.length} businesses to businesses-data.json`);
+    console.log(`\n✓ Successfully saved ${businesses.length} businesses to ${city.dataFile}`);
     console.log(`  Generated at: ${output.metadata.generatedAt}`);
+    
+    if (changelogEntry) {
+        writeChangelog(city, changelogEntry);
+    }
+    
+    // Neighborhood boundaries are bundled so the app's neighborhood mode works offline
+    try {
+        const features = await loadNeighborhoods(city);
+        
+        if (features.length === 0) {
+            console.warn(`\n✗ No neighborhoods found; keeping the existing ${city.neighborhoodsFile}`);
+            return;
+        }
+        
+        const neighborhoodsOutput = {
+            type: 'FeatureCollection',
+            metadata: {
+                generatedAt: new Date().toISOString(),
+                city: cityId,
+                bbox: city.bbox,
+                totalNeighborhoods: features.length
+            },
+            features: features
+        };
+        
+        writeDataFile(city.neighborhoodsFile, JSON.stringify(neighborhoodsOutput));
+        console.log(`✓ Successfully saved ${features.length} neighborhoods to ${city.neighborhoodsFile}`);
+    } catch (error) {
+        console.error('\n✗ Error loading neighborhoods:', error.message);
+        console.error(`  Keeping the existing ${city.neighborhoodsFile}`);
+    }
 }
 
-// Run the script
-main().catch(error => {
-    console.error('Fatal error:', error);
-    process.exit(1);
-});
+// Main function
+async function main() {
+    console.log('Starting data fetch for Bohemian Heat Map...');
+    
+    const args = process.argv.slice(2);
+    console.log(`Overpass endpoints: ${overpass.endpoints.join(', ')}`);
+    
+    const options = {
+        refresh: args.includes('--refresh'),
+        force: args.includes('--force')
+    };
+    
+    for (const cityId of getRequestedCities(args)) {
+        await fetchCityData(cityId, options);
+    }
+}
+
+// Run the script when called from the command line; tests require the refresh helpers
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Fatal error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    getBusinessKey,
+    canCompareBusinesses,
+    diffBusinesses,
+    findRefreshProblems,
+    checkRefresh
+};
 
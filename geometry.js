@@ -0,0 +1,304 @@
+// Bohemian Heat Map - Geometry Helpers
+// Shared by the app and the scoring worker (loaded as GEOMETRY, before scoring.js) and
+// fetch-data.js (require), so distances and areas are measured the same way everywhere.
+//
+// Geometries use the MultiPolygon shape used for neighborhoods: [polygon, ...] where each polygon
+// is [outerRing, ...holes] and each ring is [{ lat, lon }, ...]. Functions taking a geometry also
+// accept a single polygon or a plain ring (see toMultiPolygon).
+//
+// OSM boundary relations are assembled into that shape by chaining their member ways into
+// closed rings (buildGeometryFromRelationData for Overpass "out body; >; out skel" responses,
+// buildGeometryFromRelationWithWays when way coordinates are already known).
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.GEOMETRY = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    // Calculate distance between two points in kilometers (Haversine formula)
+    function calculateDistance(lat1, lon1, lat2, lon2) {
+        const R = 6371; // Earth's radius in km
+        const dLat = (lat2 - lat1) * Math.PI / 180;
+        const dLon = (lon2 - lon1) * Math.PI / 180;
+        const a = 
+            Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+            Math.sin(dLon / 2) * Math.sin(dLon / 2);
+        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+        return R * c;
+    }
+
+    // Normalize a geometry to the MultiPolygon shape
+    // A plain ring (grid cells, simple neighborhoods) becomes one polygon without holes
+    function toMultiPolygon(geometry) {
+        if (!geometry || geometry.length === 0) return [];
+        if (geometry[0].lat !== undefined) return [[geometry]];
+        if (geometry[0][0] && geometry[0][0].lat !== undefined) return [geometry];
+        return geometry;
+    }
+
+    // Check if a point is inside a single ring (ray casting algorithm)
+    function isPointInRing(lat, lon, ring) {
+        if (!ring || ring.length === 0) return false;
+        
+        let inside = false;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const xi = ring[i].lon, yi = ring[i].lat;
+            const xj = ring[j].lon, yj = ring[j].lat;
+            
+            const intersect = ((yi > lat) !== (yj > lat)) &&
+                (lon < (xj - xi) * (lat - yi) / (yj - yi) + xi);
+            if (intersect) inside = !inside;
+        }
+        
+        return inside;
+    }
+
+    // Check if a point is inside a polygon: inside any outer ring and outside that ring's holes
+    function isPointInPolygon(lat, lon, geometry) {
+        return toMultiPolygon(geometry).some(([outer, ...holes]) =>
+            isPointInRing(lat, lon, outer) && !holes.some(hole => isPointInRing(lat, lon, hole))
+        );
+    }
+
+    // Bounding box of a geometry as { minLat, maxLat, minLon, maxLon }, or null for an empty one
+    function calculateBounds(geometry) {
+        const polygons = toMultiPolygon(geometry);
+        if (polygons.length === 0) return null;
+        
+        let minLat = Infinity, maxLat = -Infinity;
+        let minLon = Infinity, maxLon = -Infinity;
+        
+        // Holes lie inside their outer ring, so outer rings are enough
+        polygons.forEach(polygon => {
+            polygon[0].forEach(point => {
+                if (point.lat !== undefined && point.lon !== undefined) {
+                    minLat = Math.min(minLat, point.lat);
+                    maxLat = Math.max(maxLat, point.lat);
+                    minLon = Math.min(minLon, point.lon);
+                    maxLon = Math.max(maxLon, point.lon);
+                }
+            });
+        });
+        
+        return { minLat, maxLat, minLon, maxLon };
+    }
+
+    // Calculate the area of a single ring in square degrees using the shoelace formula
+    function calculateRingArea(ring) {
+        if (!ring || ring.length < 3) return 0;
+        
+        let area = 0;
+        const n = ring.length;
+        
+        for (let i = 0; i < n; i++) {
+            const j = (i + 1) % n;
+            const xi = ring[i].lon;
+            const yi = ring[i].lat;
+            const xj = ring[j].lon;
+            const yj = ring[j].lat;
+            
+            if (xi !== undefined && yi !== undefined && xj !== undefined && yj !== undefined) {
+                area += xi * yj;
+                area -= xj * yi;
+            }
+        }
+        
+        return Math.abs(area / 2);
+    }
+
+    // Calculate approximate area of a polygon using shoelace formula
+    // Holes are subtracted from their outer ring and the parts of a MultiPolygon are added up
+    // Returns area in square kilometers
+    function calculateArea(geometry) {
+        const polygons = toMultiPolygon(geometry);
+        if (polygons.length === 0) return 0.01; // Minimum area
+        
+        // Shoelace formula gives area in square degrees
+        const areaSqDegrees = polygons.reduce((sum, [outer, ...holes]) => {
+            const holesArea = holes.reduce((holeSum, hole) => holeSum + calculateRingArea(hole), 0);
+            return sum + Math.max(calculateRingArea(outer) - holesArea, 0);
+        }, 0);
+        
+        // Convert to square kilometers at the geometry's own latitude
+        // 1 degree of latitude ≈ 111 km; 1 degree of longitude ≈ 111 * cos(latitude) km
+        const bounds = calculateBounds(geometry);
+        const midLat = (bounds.minLat + bounds.maxLat) / 2;
+        const latKmPerDegree = 111;
+        const lonKmPerDegree = 111 * Math.cos(midLat * Math.PI / 180);
+        
+        // Approximate conversion (assuming rectangular area)
+        const areaSqKm = areaSqDegrees * latKmPerDegree * lonKmPerDegree;
+        
+        return Math.max(areaSqKm, 0.01); // Minimum area to avoid division by zero
+    }
+
+    // Build geometry from relation using way data
+    // Outer and inner member ways are chained into closed rings, and each inner ring
+    // becomes a hole of the outer ring that contains it (see toMultiPolygon for the shape)
+    function buildGeometryFromRelationData(relation, waysMap, nodesMap) {
+        if (!relation.members || relation.members.length === 0) return null;
+        
+        // Convert a member way's node IDs to coordinates
+        const toWaySegment = (m) => {
+            const way = waysMap.get(m.ref);
+            if (!way || !way.nodes || way.nodes.length === 0) return null;
+            
+            const coords = way.nodes
+                .map(nodeId => {
+                    const node = nodesMap.get(nodeId);
+                    if (node && node.lat !== undefined && node.lon !== undefined) {
+                        return { lat: node.lat, lon: node.lon };
+                    }
+                    return null;
+                })
+                .filter(c => c !== null);
+            
+            if (coords.length === 0) return null;
+            
+            return {
+                id: m.ref,
+                coords: coords,
+                startNode: coords[0],
+                endNode: coords[coords.length - 1]
+            };
+        };
+        
+        // Outer ring members are ways with role "outer" or no role
+        const outerWayMembers = relation.members
+            .filter(m => m.type === 'way' && (!m.role || m.role === 'outer'))
+            .map(toWaySegment)
+            .filter(w => w !== null);
+        const innerWayMembers = relation.members
+            .filter(m => m.type === 'way' && m.role === 'inner')
+            .map(toWaySegment)
+            .filter(w => w !== null);
+        
+        return buildPolygonsFromWaySegments(outerWayMembers, innerWayMembers);
+    }
+
+    // Chain outer and inner way segments into a MultiPolygon geometry
+    function buildPolygonsFromWaySegments(outerWaySegments, innerWaySegments) {
+        if (outerWaySegments.length === 0) return null;
+        
+        const outerRings = chainWays(outerWaySegments);
+        if (outerRings.length === 0) return null;
+        
+        const polygons = outerRings.map(ring => [ring]);
+        
+        // Attach each hole to the outer ring containing its first point
+        chainWays(innerWaySegments).forEach(hole => {
+            const container = polygons.find(polygon => isPointInRing(hole[0].lat, hole[0].lon, polygon[0]));
+            if (container) {
+                container.push(hole);
+            }
+        });
+        
+        return polygons;
+    }
+
+    // Compare coordinates with a small tolerance
+    function coordsMatch(a, b) {
+        if (!a || !b) return false;
+        const tolerance = 0.0001;
+        return Math.abs(a.lat - b.lat) < tolerance && 
+               Math.abs(a.lon - b.lon) < tolerance;
+    }
+
+    // Chain ways together by matching endpoints
+    // Returns every closed ring the ways form; a chain that cannot be closed is closed
+    // with a straight line back to its start
+    function chainWays(waySegments) {
+        const rings = [];
+        const unused = [...waySegments];
+        
+        while (unused.length > 0) {
+            const first = unused.shift();
+            const ring = [...first.coords];
+            
+            // Keep chaining until the ring closes or no way connects
+            let progress = true;
+            while (progress && unused.length > 0 && !coordsMatch(ring[0], ring[ring.length - 1])) {
+                progress = false;
+                const currentEnd = ring[ring.length - 1];
+                
+                for (let i = 0; i < unused.length; i++) {
+                    const way = unused[i];
+                    
+                    if (coordsMatch(currentEnd, way.startNode)) {
+                        // Add coordinates (skip first to avoid duplicate)
+                        ring.push(...way.coords.slice(1));
+                    } else if (coordsMatch(currentEnd, way.endNode)) {
+                        // Reverse the way and add
+                        ring.push(...[...way.coords].reverse().slice(1));
+                    } else {
+                        continue;
+                    }
+                    
+                    unused.splice(i, 1);
+                    progress = true;
+                    break;
+                }
+            }
+            
+            // Remove consecutive duplicates
+            const cleaned = ring.filter((point, i) => i === 0 || !coordsMatch(point, ring[i - 1]));
+            
+            // Ensure it's closed
+            const start = cleaned[0];
+            if (!coordsMatch(start, cleaned[cleaned.length - 1])) {
+                cleaned.push({ lat: start.lat, lon: start.lon });
+            }
+            
+            // A closed ring needs at least three distinct points
+            if (cleaned.length >= 4) {
+                rings.push(cleaned);
+            }
+        }
+        
+        return rings;
+    }
+
+    // Build geometry from relation when we have way coordinates directly
+    function buildGeometryFromRelationWithWays(relation, wayNodesMap) {
+        if (!relation.members || relation.members.length === 0) return null;
+        
+        const toWaySegment = (m) => {
+            const wayCoords = wayNodesMap.get(m.ref);
+            if (!wayCoords || wayCoords.length === 0) return null;
+            
+            return {
+                id: m.ref,
+                coords: wayCoords,
+                startNode: wayCoords[0],
+                endNode: wayCoords[wayCoords.length - 1]
+            };
+        };
+        
+        // Get outer and inner ways
+        const outerWayMembers = relation.members
+            .filter(m => m.type === 'way' && (!m.role || m.role === 'outer'))
+            .map(toWaySegment)
+            .filter(w => w !== null);
+        const innerWayMembers = relation.members
+            .filter(m => m.type === 'way' && m.role === 'inner')
+            .map(toWaySegment)
+            .filter(w => w !== null);
+        
+        return buildPolygonsFromWaySegments(outerWayMembers, innerWayMembers);
+    }
+
+    return {
+        calculateDistance,
+        toMultiPolygon,
+        isPointInRing,
+        isPointInPolygon,
+        calculateBounds,
+        calculateRingArea,
+        calculateArea,
+        buildGeometryFromRelationData,
+        buildGeometryFromRelationWithWays
+    };
+}));
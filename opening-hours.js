@@ -0,0 +1,249 @@
+// Bohemian Heat Map - OSM opening_hours Parser
+// Loaded by the app with a script tag as OPENING_HOURS (and usable from Node with require).
+//
+// Understands the common part of the opening_hours syntax (https://wiki.openstreetmap.org/wiki/Key:opening_hours):
+// - 24/7
+// - rules separated by ";" (a later rule replaces earlier ones on the days it covers), or by ","
+//   after a time or "off" (an additional rule that adds to them)
+// - month ranges (Jan-Mar, Oct-Apr) and weekday lists and ranges (Mo-Fr,Su); rules only for public
+//   or school holidays (PH, SH) are skipped, since holidays are not known
+// - time ranges (08:00-12:00,13:00-17:00), including past midnight (22:00-02:00) and open ends
+//   (18:00+, taken as open until midnight)
+// - off / closed / unknown, and "comments", which are ignored (a rule with only a comment, or days
+//   with only a comment, is unknown)
+// Anything else (sunrise, week numbers, dates, nth weekdays) makes the whole value unsupported, and
+// its state is 'unknown' rather than a guess.
+//
+// States are checked at a wall clock time (getLocalTime), so a city's hours can be read in its own
+// time zone wherever the viewer is.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.OPENING_HOURS = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const WEEKDAYS = ['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su']; // Position i is JavaScript day (i + 1) % 7
+    const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const MINUTES_PER_DAY = 24 * 60;
+
+    const MONTH_RANGE = `(?:${MONTHS.join('|')})(?:-(?:${MONTHS.join('|')}))?`;
+    const WEEKDAY_RANGE = `(?:(?:${WEEKDAYS.join('|')})(?:-(?:${WEEKDAYS.join('|')}))?|PH|SH)`;
+    const TIME_RANGE = '\\d{1,2}:\\d{2}(?:-\\d{1,2}:\\d{2}|\\+)';
+    const MONTH_SELECTOR = new RegExp(`^${MONTH_RANGE}(?:,${MONTH_RANGE})*$`);
+    const WEEKDAY_SELECTOR = new RegExp(`^${WEEKDAY_RANGE}(?:,${WEEKDAY_RANGE})*:?$`);
+    const TIME_SELECTOR = new RegExp(`^${TIME_RANGE}(?:,${TIME_RANGE})*$`);
+    const MODIFIER = /^(off|closed|open|unknown)$/;
+
+    // Parsed rules by opening_hours value (null for unsupported values)
+    const cache = new Map();
+
+    // Expand "Fr-Mo" style ranges over a cyclic list of names into the set of their indexes
+    function expandRanges(selector, names, toValue) {
+        const values = new Set();
+        selector.split(',').forEach(item => {
+            const [from, to = from] = item.split('-').map(name => names.indexOf(name));
+            for (let i = from; ; i = (i + 1) % names.length) {
+                values.add(toValue(i));
+                if (i === to) break;
+            }
+        });
+        return values;
+    }
+
+    // "08:00-12:00,22:00-02:00" as minute ranges from the start of the day; ranges past midnight
+    // end after MINUTES_PER_DAY
+    function parseTimes(selector) {
+        return selector.split(',').map(range => {
+            const [startText, endText] = range.replace('+', '').split('-');
+            const toMinutes = text => {
+                const [hours, minutes] = text.split(':').map(Number);
+                return hours * 60 + minutes;
+            };
+            const start = toMinutes(startText);
+            let end = endText ? toMinutes(endText) : MINUTES_PER_DAY;
+            if (end <= start) {
+                end += MINUTES_PER_DAY;
+            }
+            return { start, end };
+        });
+    }
+
+    // Parse one rule, or return null if it uses syntax this parser does not handle
+    function parseRule(text, additional) {
+        const rule = { additional, months: null, weekdays: null, holidaysOnly: false, times: null, off: false, unknown: false };
+        const hasComment = /"[^"]*"/.test(text);
+        const rest = text
+            .replace(/"[^"]*"/g, ' ')
+            .replace(/\s*,\s*/g, ',')
+            .replace(/\s*-\s*/g, '-')
+            .trim();
+
+        if (rest === '24/7') {
+            rule.times = [{ start: 0, end: MINUTES_PER_DAY }];
+            return rule;
+        }
+
+        const tokens = rest === '' ? [] : rest.split(/\s+/);
+        let i = 0;
+        if (i < tokens.length && MONTH_SELECTOR.test(tokens[i])) {
+            rule.months = expandRanges(tokens[i++], MONTHS, index => index);
+        }
+        if (i < tokens.length && WEEKDAY_SELECTOR.test(tokens[i])) {
+            const items = tokens[i++].replace(/:$/, '').split(',');
+            const days = items.filter(item => item !== 'PH' && item !== 'SH');
+            rule.holidaysOnly = days.length === 0;
+            rule.weekdays = expandRanges(days.join(','), WEEKDAYS, index => (index + 1) % 7);
+        }
+        // Times are sometimes listed with spaces instead of commas
+        while (i < tokens.length && TIME_SELECTOR.test(tokens[i])) {
+            rule.times = (rule.times || []).concat(parseTimes(tokens[i++]));
+        }
+        let modifier = null;
+        if (i < tokens.length && MODIFIER.test(tokens[i])) {
+            modifier = tokens[i++];
+            rule.off = modifier === 'off' || modifier === 'closed';
+            rule.unknown = modifier === 'unknown';
+        }
+        if (i < tokens.length) return null;
+
+        if (tokens.length === 0) {
+            // Only a comment, such as "by appointment"
+            if (!hasComment) return null;
+            rule.unknown = true;
+        } else if (!rule.times && !rule.off && !rule.unknown) {
+            // Days without times ("Mo-Fr" or "Mo-Fr open") are open all day, but days with only
+            // a comment (Sa "by appointment") are unknown
+            if (hasComment && !modifier) {
+                rule.unknown = true;
+            } else {
+                rule.times = [{ start: 0, end: MINUTES_PER_DAY }];
+            }
+        }
+        return rule;
+    }
+
+    // Parse an opening_hours value into rules, or return null if any part is unsupported
+    function parseOpeningHours(value) {
+        if (typeof value !== 'string' || value.trim() === '') return null;
+        if (cache.has(value)) return cache.get(value);
+
+        const rules = [];
+        const normalized = value.replace(/[–—]/g, '-');
+        for (const part of normalized.split(/;|\|\|/)) {
+            if (part.trim() === '') continue;
+            // A comma after a time or "off" and before a letter starts an additional rule
+            const pieces = part.split(/(?<=\d|\+|off|closed)\s*,\s*(?=[A-Z"])/);
+            for (let j = 0; j < pieces.length; j++) {
+                const rule = parseRule(pieces[j], j > 0);
+                if (!rule) {
+                    cache.set(value, null);
+                    return null;
+                }
+                rules.push(rule);
+            }
+        }
+
+        const result = rules.length > 0 ? rules : null;
+        cache.set(value, result);
+        return result;
+    }
+
+    // Month and weekday of a calendar day; days past the end of a month roll over into the next
+    function getCalendarDay(year, month, day) {
+        const date = new Date(Date.UTC(year, month, day));
+        return { month: date.getUTCMonth(), weekday: date.getUTCDay() };
+    }
+
+    function ruleAppliesOn(rule, day) {
+        if (rule.holidaysOnly) return false;
+        if (rule.months && !rule.months.has(day.month)) return false;
+        if (rule.weekdays && !rule.weekdays.has(day.weekday)) return false;
+        return true;
+    }
+
+    // Open minute ranges on a day, each with the index of the rule it comes from, whether the
+    // rule deciding that day is unknown, and the index of the last rule that replaced the day's
+    // earlier rules (-1 if none applies)
+    function getDaySchedule(rules, day) {
+        let ranges = [];
+        let unknown = false;
+        let replacedBy = -1;
+        rules.forEach((rule, index) => {
+            if (!ruleAppliesOn(rule, day)) return;
+            const ruleRanges = rule.off || rule.unknown ? [] : rule.times.map(range => ({ ...range, rule: index }));
+            if (rule.additional && !rule.off) {
+                ranges = ranges.concat(ruleRanges);
+                unknown = unknown || rule.unknown;
+            } else {
+                ranges = ruleRanges;
+                unknown = rule.unknown;
+                replacedBy = index;
+            }
+        });
+        return { ranges, unknown, replacedBy };
+    }
+
+    // Wall clock time of a date in a time zone (the browser's when none is given) as
+    // { year, month, day, minute }, with month from 0 and minute counted from midnight
+    const formatters = new Map();
+    function getLocalTime(date, timeZone) {
+        if (!timeZone) {
+            return {
+                year: date.getFullYear(),
+                month: date.getMonth(),
+                day: date.getDate(),
+                minute: date.getHours() * 60 + date.getMinutes()
+            };
+        }
+
+        if (!formatters.has(timeZone)) {
+            formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric'
+            }));
+        }
+        const parts = {};
+        formatters.get(timeZone).formatToParts(date).forEach(part => {
+            parts[part.type] = Number(part.value);
+        });
+        return {
+            year: parts.year,
+            month: parts.month - 1,
+            day: parts.day,
+            minute: (parts.hour % 24) * 60 + parts.minute
+        };
+    }
+
+    // 'open', 'closed' or 'unknown' (no value, unsupported syntax, or hours marked unknown) at a
+    // local time from getLocalTime (day may run past the end of the month)
+    function getOpenState(value, time) {
+        const rules = parseOpeningHours(value);
+        if (!rules) return 'unknown';
+
+        const minute = time.minute;
+        const today = getDaySchedule(rules, getCalendarDay(time.year, time.month, time.day));
+        if (today.ranges.some(range => range.start <= minute && minute < range.end)) return 'open';
+
+        // Ranges from the day before that run past midnight, unless a later rule replaced today
+        // ("Mo 18:00-02:00; Tu off" is closed at 01:00 on Tuesday)
+        const yesterday = getDaySchedule(rules, getCalendarDay(time.year, time.month, time.day - 1));
+        const minuteFromYesterday = minute + MINUTES_PER_DAY;
+        if (yesterday.ranges.some(range => range.rule >= today.replacedBy &&
+            range.start <= minuteFromYesterday && minuteFromYesterday < range.end)) return 'open';
+
+        return today.unknown ? 'unknown' : 'closed';
+    }
+
+    return {
+        parseOpeningHours,
+        getLocalTime,
+        getOpenState
+    };
+}));
@@ -0,0 +1,178 @@
+// Bohemian Heat Map - Overpass API Client
+// Shared by the app (loaded with a script tag as OVERPASS_CLIENT) and fetch-data.js (require).
+//
+// createOverpassClient(options) returns { query(overpassQuery, { label }) }, which resolves to the
+// parsed JSON response or rejects with an error listing every attempt. Each attempt:
+// - goes to the next endpoint in the list after a failure, so a busy server fails over to a mirror
+// - waits with exponential backoff between attempts, or longer if the server sent Retry-After
+// - is abandoned after timeoutMs
+// Rate limits (429), gateway errors (502-504), timeouts, network errors and Overpass runtime errors
+// (reported in the "remark" of an otherwise successful response) are retried; other HTTP errors,
+// such as 400 for a bad query, fail at once.
+//
+// Options (all optional):
+// - endpoints: interpreter URLs, http or https (default DEFAULT_ENDPOINTS)
+// - maxAttempts, baseDelayMs, maxDelayMs, maxRetryAfterMs, timeoutMs: see DEFAULT_OPTIONS
+// - transport(url, body, timeoutMs): resolves to { status, statusText, retryAfter, text };
+//   defaults to fetch() (fetch-data.js passes one built on Node's http and https modules)
+// - onRetry({ label, attempt, endpoint, nextEndpoint, error, waitMs }): called before each retry
+// - sleep(ms): waits between attempts (replaceable so tests need not wait)
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.OVERPASS_CLIENT = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const DEFAULT_ENDPOINTS = [
+        'https://overpass-api.de/api/interpreter',
+        'https://overpass.kumi.systems/api/interpreter',
+        'https://overpass.private.coffee/api/interpreter'
+    ];
+
+    const DEFAULT_OPTIONS = {
+        maxAttempts: 4,
+        baseDelayMs: 2000, // Backoff doubles after each failed attempt: 2 s, 4 s, 8 s...
+        maxDelayMs: 30000,
+        maxRetryAfterMs: 120000, // Longest Retry-After we wait for
+        timeoutMs: 120000 // A little longer than the [timeout:90] in the queries
+    };
+
+    const RETRYABLE_STATUSES = new Set([429, 502, 503, 504]);
+
+    // Overpass reports server-side failures in "remark" with a 200 status and no elements
+    const RUNTIME_ERROR_REMARK = /runtime error|timed out|out of memory/i;
+
+    // Error with the HTTP status and whether trying again might help
+    function createOverpassError(message, details = {}) {
+        const error = new Error(message);
+        error.status = details.status ?? null;
+        error.retryable = Boolean(details.retryable);
+        error.retryAfterMs = details.retryAfterMs ?? null;
+        error.attempts = details.attempts || [];
+        return error;
+    }
+
+    // Retry-After is either a number of seconds or an HTTP date
+    function parseRetryAfter(value, now = Date.now()) {
+        if (value === null || value === undefined || value === '') return null;
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - now);
+    }
+
+    // POST a query with fetch(), abandoning it after timeoutMs
+    async function fetchTransport(url, body, timeoutMs) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'text/plain' },
+                body: body,
+                signal: controller.signal
+            });
+            return {
+                status: response.status,
+                statusText: response.statusText,
+                retryAfter: response.headers.get('Retry-After'),
+                text: await response.text()
+            };
+        } catch (error) {
+            throw error.name === 'AbortError' ? new Error(`Timed out after ${timeoutMs / 1000} s`) : error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Turn a transport response into parsed JSON, or throw an error saying whether to retry
+    function readResponse(response) {
+        if (response.status !== 200) {
+            throw createOverpassError(`HTTP ${response.status}${response.statusText ? ' ' + response.statusText : ''}`, {
+                status: response.status,
+                retryable: RETRYABLE_STATUSES.has(response.status),
+                retryAfterMs: parseRetryAfter(response.retryAfter)
+            });
+        }
+        
+        let data;
+        try {
+            data = JSON.parse(response.text);
+        } catch (error) {
+            // Usually a truncated response or an HTML error page from an overloaded server
+            throw createOverpassError(`Invalid JSON response: ${error.message}`, { status: 200, retryable: true });
+        }
+        if (data.remark && RUNTIME_ERROR_REMARK.test(data.remark)) {
+            throw createOverpassError(`Overpass error: ${data.remark.trim()}`, { status: 200, retryable: true });
+        }
+        return data;
+    }
+
+    function createOverpassClient(options = {}) {
+        const settings = { ...DEFAULT_OPTIONS, ...options };
+        const endpoints = settings.endpoints && settings.endpoints.length > 0 ? settings.endpoints : DEFAULT_ENDPOINTS;
+        const transport = settings.transport || fetchTransport;
+        const sleep = settings.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+        
+        // Endpoint to use after a failure: the one that is free soonest (after any Retry-After),
+        // preferring the next one in the list so a failing server is skipped
+        function pickNextEndpoint(currentIndex, availableAt) {
+            let best = currentIndex;
+            for (let step = endpoints.length; step >= 1; step--) {
+                const index = (currentIndex + step) % endpoints.length;
+                if (availableAt[index] <= availableAt[best]) {
+                    best = index;
+                }
+            }
+            return best;
+        }
+        
+        async function query(overpassQuery, { label = 'Overpass query' } = {}) {
+            const availableAt = endpoints.map(() => 0);
+            const attempts = [];
+            let endpointIndex = 0;
+            
+            for (let attempt = 1; attempt <= settings.maxAttempts; attempt++) {
+                const endpoint = endpoints[endpointIndex];
+                let error;
+                try {
+                    return readResponse(await transport(endpoint, overpassQuery, settings.timeoutMs));
+                } catch (caught) {
+                    // Errors without a status come from the network or a timeout, which are worth retrying
+                    error = caught.status === undefined ? Object.assign(caught, { retryable: true }) : caught;
+                }
+                
+                attempts.push(`${endpoint}: ${error.message}`);
+                if (!error.retryable || attempt === settings.maxAttempts) break;
+                
+                if (error.retryAfterMs !== null && error.retryAfterMs !== undefined) {
+                    availableAt[endpointIndex] = Date.now() + Math.min(error.retryAfterMs, settings.maxRetryAfterMs);
+                }
+                endpointIndex = pickNextEndpoint(endpointIndex, availableAt);
+                
+                const backoffMs = Math.min(settings.maxDelayMs, settings.baseDelayMs * 2 ** (attempt - 1));
+                const waitMs = Math.max(backoffMs, availableAt[endpointIndex] - Date.now());
+                if (settings.onRetry) {
+                    settings.onRetry({ label, attempt, endpoint, nextEndpoint: endpoints[endpointIndex], error, waitMs });
+                }
+                await sleep(waitMs);
+            }
+            
+            throw createOverpassError(
+                `${label} failed after ${attempts.length} attempt${attempts.length === 1 ? '' : 's'}:\n  ${attempts.join('\n  ')}`,
+                { attempts }
+            );
+        }
+        
+        return { endpoints, query };
+    }
+
+    return {
+        DEFAULT_ENDPOINTS,
+        DEFAULT_OPTIONS,
+        createOverpassClient,
+        parseRetryAfter
+    };
+}));
@@ -0,0 +1,46 @@
+// Bohemian Heat Map: Portland - Scoring Worker
+// Runs scoreAreas() off the main thread so the map and drawer stay responsive.
+//
+// Messages received:
+// - { type: 'businesses', businesses }: index a new business list
+// - { type: 'score', requestId, areas, settings }: score and rank areas (see scoreAreas in scoring.js)
+// Messages posted:
+// - { type: 'progress', requestId, done, total }
+// - { type: 'result', requestId, results }: businesses are sent as positions in the business list
+// - { type: 'error', requestId, message }
+
+importScripts('geometry.js', 'scoring.js');
+
+let indexes = createBusinessIndexes([]);
+let businessPositions = new Map(); // Business -> position in the list the main thread sent
+
+self.onmessage = event => {
+    const message = event.data;
+    
+    if (message.type === 'businesses') {
+        indexes = createBusinessIndexes(message.businesses);
+        businessPositions = new Map(message.businesses.map((business, i) => [business, i]));
+        return;
+    }
+    
+    if (message.type === 'score') {
+        const { requestId, areas, settings } = message;
+        try {
+            const results = scoreAreas(areas, indexes, settings, (done, total) => {
+                self.postMessage({ type: 'progress', requestId, done, total });
+            });
+            
+            self.postMessage({
+                type: 'result',
+                requestId,
+                results: results.map(result => ({
+                    ...result,
+                    nearestBusiness: result.nearestBusiness ? businessPositions.get(result.nearestBusiness) : null,
+                    businesses: result.businesses.map(business => businessPositions.get(business))
+                }))
+            });
+        } catch (error) {
+            self.postMessage({ type: 'error', requestId, message: error.message });
+        }
+    }
+};
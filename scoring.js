@@ -0,0 +1,245 @@
+// Bohemian Heat Map: Portland - Scoring
+// Shared by the main thread (app.js) and the scoring worker (scoring-worker.js),
+// so it only uses plain data and must not touch the DOM or Leaflet. Needs geometry.js loaded first.
+
+// Bohemian Score settings
+// Every category scores an area from 0 to 1 by blending two components:
+// - proximity: exponential decay of the distance to the nearest business in that category
+// - density: businesses in that category per km² inside the area, saturating as it grows
+// The composite score is the weighted average of the category scores, scaled to 0-100,
+// minus a penalty for detractor categories (chains and big-box stores).
+const PROXIMITY_DECAY_KM = 0.5; // At 0.5km the proximity component is ~0.37
+const DENSITY_SATURATION_PER_KM2 = 5; // At 5 businesses/km² the density component is ~0.63
+const PROXIMITY_SHARE = 0.5; // Share of each category score that comes from proximity
+const SCORE_PROGRESS_INTERVAL = 50; // Report progress every this many areas
+
+// Spatial index settings
+const SPATIAL_INDEX_CELL_KM = 0.5; // Bucket size for business lookups
+const SPATIAL_INDEX_LINEAR_SCAN_MAX = 64; // Small sets are faster to scan than to search bucket by bucket
+
+// Build a grid-bucket spatial index for nearest and within-bounds lookups
+// Items need lat/lon; buckets are roughly cellSizeKm on a side at the items' mean latitude
+function createSpatialIndex(items, cellSizeKm = SPATIAL_INDEX_CELL_KM) {
+    const refLat = items.length > 0 ? items.reduce((sum, item) => sum + item.lat, 0) / items.length : 0;
+    const latStep = cellSizeKm / 111;
+    const lonStep = cellSizeKm / (111 * Math.cos(refLat * Math.PI / 180));
+    const rowOf = lat => Math.floor(lat / latStep);
+    const colOf = lon => Math.floor(lon / lonStep);
+    const keyOf = (row, col) => `${row}:${col}`;
+    
+    const buckets = new Map();
+    let minRow = Infinity, maxRow = -Infinity;
+    let minCol = Infinity, maxCol = -Infinity;
+    
+    items.forEach(item => {
+        const row = rowOf(item.lat);
+        const col = colOf(item.lon);
+        const key = keyOf(row, col);
+        if (!buckets.has(key)) {
+            buckets.set(key, []);
+        }
+        buckets.get(key).push(item);
+        minRow = Math.min(minRow, row);
+        maxRow = Math.max(maxRow, row);
+        minCol = Math.min(minCol, col);
+        maxCol = Math.max(maxCol, col);
+    });
+    
+    // Visit every item in the buckets overlapping a lat/lon box
+    const forEachInBox = (minLat, maxLat, minLon, maxLon, callback) => {
+        const rowEnd = Math.min(rowOf(maxLat), maxRow);
+        const colEnd = Math.min(colOf(maxLon), maxCol);
+        for (let row = Math.max(rowOf(minLat), minRow); row <= rowEnd; row++) {
+            for (let col = Math.max(colOf(minLon), minCol); col <= colEnd; col++) {
+                const bucket = buckets.get(keyOf(row, col));
+                if (bucket) {
+                    bucket.forEach(callback);
+                }
+            }
+        }
+    };
+    
+    return {
+        size: items.length,
+        
+        // Items inside a { minLat, maxLat, minLon, maxLon } box
+        withinBounds(bounds) {
+            const results = [];
+            forEachInBox(bounds.minLat, bounds.maxLat, bounds.minLon, bounds.maxLon, item => {
+                if (item.lat >= bounds.minLat && item.lat <= bounds.maxLat &&
+                    item.lon >= bounds.minLon && item.lon <= bounds.maxLon) {
+                    results.push(item);
+                }
+            });
+            return results;
+        },
+        
+        // Nearest item to a point as { item, distance }, or null when the index is empty
+        nearest(lat, lon) {
+            let best = null;
+            const consider = item => {
+                const distance = GEOMETRY.calculateDistance(lat, lon, item.lat, item.lon);
+                if (!best || distance < best.distance) {
+                    best = { item, distance };
+                }
+            };
+            
+            if (items.length <= SPATIAL_INDEX_LINEAR_SCAN_MAX) {
+                items.forEach(consider);
+                return best;
+            }
+            
+            // Search square rings of buckets outward from the point's bucket
+            const centerRow = rowOf(lat);
+            const centerCol = colOf(lon);
+            const maxRing = Math.max(
+                Math.abs(centerRow - minRow), Math.abs(centerRow - maxRow),
+                Math.abs(centerCol - minCol), Math.abs(centerCol - maxCol)
+            );
+            
+            for (let ring = 0; ring <= maxRing; ring++) {
+                for (let row = centerRow - ring; row <= centerRow + ring; row++) {
+                    // Inner rows of a ring only touch its left and right edges
+                    const isEdgeRow = row === centerRow - ring || row === centerRow + ring;
+                    const colStep = isEdgeRow ? 1 : 2 * ring;
+                    for (let col = centerCol - ring; col <= centerCol + ring; col += colStep) {
+                        const bucket = buckets.get(keyOf(row, col));
+                        if (bucket) {
+                            bucket.forEach(consider);
+                        }
+                    }
+                }
+                
+                // Items in farther rings are at least `ring` whole buckets away
+                // (with a small margin for the longitude scale drifting away from refLat)
+                if (best && best.distance <= ring * cellSizeKm * 0.95) {
+                    break;
+                }
+            }
+            
+            return best;
+        }
+    };
+}
+
+// Build the overall and per-category spatial indexes used for business lookups
+// (a business in several categories is indexed under each of them)
+function createBusinessIndexes(businesses) {
+    const businessesByCategory = {};
+    businesses.forEach(business => {
+        business.categories.forEach(cat => {
+            if (!businessesByCategory[cat]) {
+                businessesByCategory[cat] = [];
+            }
+            businessesByCategory[cat].push(business);
+        });
+    });
+    
+    const byCategory = {};
+    Object.entries(businessesByCategory).forEach(([cat, categoryBusinesses]) => {
+        byCategory[cat] = createSpatialIndex(categoryBusinesses);
+    });
+    
+    return { all: createSpatialIndex(businesses), byCategory };
+}
+
+// Score areas against indexed businesses and rank them
+// settings: { categoryIds, detractorIds, weights, detractorPenaltyWeight }, where categoryIds
+// are the selected bohemian categories and weights maps category id -> weight.
+// Returns one result per area, highest Bohemian Score first:
+// { id, bohemianScore, categoryScores, detractorPenalty, minDistance, nearestBusiness,
+//   nearestDistanceByCategory, businesses }
+function scoreAreas(areas, indexes, settings, onProgress) {
+    const { categoryIds, detractorIds, weights, detractorPenaltyWeight } = settings;
+    const scoredCategories = new Set([...categoryIds, ...detractorIds]);
+    const totalWeight = categoryIds.reduce((sum, catId) => sum + weights[catId], 0);
+    
+    const results = areas.map((cell, i) => {
+        // Nearest business per category to this area's center; the overall
+        // nearest business only considers the bohemian categories
+        const nearestDistanceByCategory = {};
+        let nearest = null;
+        scoredCategories.forEach(catId => {
+            const result = indexes.byCategory[catId]?.nearest(cell.centerLat, cell.centerLon);
+            nearestDistanceByCategory[catId] = result ? result.distance : Infinity;
+            
+            if (result && !detractorIds.includes(catId) && (!nearest || result.distance < nearest.distance)) {
+                nearest = result;
+            }
+        });
+        
+        // Businesses within this area, each listed once; a business counts toward the
+        // density of every scored category it belongs to
+        const businesses = indexes.all.withinBounds(cell.bounds)
+            .filter(business => business.categories.some(cat => scoredCategories.has(cat)) && isBusinessInArea(business, cell));
+        
+        const countsByCategory = {};
+        businesses.forEach(business => {
+            business.categories.forEach(cat => {
+                countsByCategory[cat] = (countsByCategory[cat] || 0) + 1;
+            });
+        });
+        
+        // Weighted average of the per-category scores
+        let weightedSum = 0;
+        let detractorSum = 0;
+        const categoryScores = {};
+        scoredCategories.forEach(catId => {
+            const categoryScore = calculateCategoryScore(
+                nearestDistanceByCategory[catId],
+                (countsByCategory[catId] || 0) / cell.area
+            );
+            categoryScores[catId] = categoryScore;
+            if (detractorIds.includes(catId)) {
+                detractorSum += categoryScore;
+            } else {
+                weightedSum += weights[catId] * categoryScore;
+            }
+        });
+        
+        // Each detractor category weighs as much as a bohemian category at the penalty weight
+        const detractorPenalty = totalWeight > 0 ? 100 * detractorPenaltyWeight * detractorSum / totalWeight : 0;
+        const bohemianScore = totalWeight > 0 ?
+            Math.max(0, 100 * weightedSum / totalWeight - detractorPenalty) : 0;
+        
+        if (onProgress && ((i + 1) % SCORE_PROGRESS_INTERVAL === 0 || i + 1 === areas.length)) {
+            onProgress(i + 1, areas.length);
+        }
+        
+        return {
+            id: cell.id,
+            bohemianScore,
+            categoryScores,
+            detractorPenalty,
+            minDistance: nearest ? nearest.distance : Infinity,
+            nearestBusiness: nearest ? nearest.item : null,
+            nearestDistanceByCategory,
+            businesses
+        };
+    });
+    
+    // Sort by Bohemian Score (descending - highest score first)
+    return results.sort((a, b) => b.bohemianScore - a.bohemianScore);
+}
+
+// Score one category for an area on a 0-1 scale
+function calculateCategoryScore(nearestDistance, densityPerKm2) {
+    // Exponential decay: at 0km = 1, at 0.5km ≈ 0.37, at 1km ≈ 0.14
+    const proximity = nearestDistance < Infinity ? Math.exp(-nearestDistance / PROXIMITY_DECAY_KM) : 0;
+    // Saturating density: more businesses always help, with diminishing returns
+    const density = 1 - Math.exp(-densityPerKm2 / DENSITY_SATURATION_PER_KM2);
+    return PROXIMITY_SHARE * proximity + (1 - PROXIMITY_SHARE) * density;
+}
+
+// Check if a business falls inside a grid cell or neighborhood
+function isBusinessInArea(business, area) {
+    const bounds = area.bounds;
+    if (!bounds ||
+        business.lat < bounds.minLat || business.lat > bounds.maxLat ||
+        business.lon < bounds.minLon || business.lon > bounds.maxLon) {
+        return false;
+    }
+    
+    // Grid cells are rectangles, so the bounds check is enough
+    return area.isGridCell || GEOMETRY.isPointInPolygon(business.lat, business.lon, area.geometry);
+}
@@ -0,0 +1,154 @@
+// Bohemian Heat Map - Service Worker
+// Keeps the map usable with no connection once it has been opened online.
+//
+// Caches:
+// - shell: the app's own files, Leaflet from the CDN and every city's data files, fetched on install.
+//   Same-origin requests go to the network first so a new deploy shows up at once, and fall back
+//   to this cache offline. Bump CACHE_VERSION when the list of files changes.
+// - tiles: map tiles as they are viewed, served from the cache first and trimmed to MAX_TILE_ENTRIES
+// Everything else (Overpass, open data portals) goes straight to the network.
+// The dataset itself is also kept in IndexedDB by app.js, so a visit can start without downloading it.
+
+importScripts('cities.js');
+
+const CACHE_VERSION = 'v3';
+const SHELL_CACHE = `bohemian-heat-map-shell-${CACHE_VERSION}`;
+const TILE_CACHE = 'bohemian-heat-map-tiles';
+const MAX_TILE_ENTRIES = 3000; // Roughly 50 MB of tiles
+const TILE_TRIM_INTERVAL = 50; // Trim the tile cache after this many new tiles
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'styles.css',
+    'cities.js',
+    'categories.js',
+    'overpass.js',
+    'opening-hours.js',
+    'geometry.js',
+    'scoring.js',
+    'scoring-worker.js',
+    'app.js'
+];
+
+const CDN_ASSETS = [
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+    'https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.css',
+    'https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.Default.css',
+    'https://unpkg.com/leaflet.markercluster@1.5.3/dist/leaflet.markercluster.js'
+];
+
+const CDN_HOSTS = ['unpkg.com'];
+const TILE_HOST = /(^|\.)tile\.openstreetmap\.org$/;
+
+let tilesSinceTrim = 0;
+
+// Data files for every configured city; a city without built data is skipped
+function getDataFiles() {
+    return Object.values(CITY_CONFIG.cities)
+        .flatMap(city => [city.dataFile, city.neighborhoodsFile])
+        .filter(Boolean);
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        // The shell must cache completely; CDN and data files are cached if they can be fetched
+        await cache.addAll(APP_SHELL);
+        await Promise.all(CDN_ASSETS.concat(getDataFiles()).map(async url => {
+            try {
+                const response = await fetch(url, { mode: 'cors', credentials: 'omit' });
+                if (response.ok) {
+                    await cache.put(url, response);
+                }
+            } catch (error) {
+                console.warn(`Could not precache ${url}:`, error);
+            }
+        }));
+        await self.skipWaiting();
+    })());
+});
+
+// Drop shell caches from earlier versions
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('bohemian-heat-map-shell-') && name !== SHELL_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request));
+    } else if (TILE_HOST.test(url.hostname)) {
+        event.respondWith(cacheFirstTile(request));
+    } else if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirstCdn(request));
+    }
+});
+
+// Fetch from the network and keep a copy; offline, answer from the shell cache
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        // Page URLs carry the view in the query string, so match them without it
+        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Versioned CDN files never change, so the cached copy is always good
+async function cacheFirstCdn(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request.url);
+    if (cached) return cached;
+    
+    // Fetched with CORS (which unpkg allows) so the response is not opaque and can be checked
+    const response = await fetch(request.url, { mode: 'cors', credentials: 'omit' });
+    if (response.ok) {
+        await cache.put(request.url, response.clone());
+    }
+    return response;
+}
+
+// Serve tiles that have been viewed before from the cache, caching new ones as they load
+async function cacheFirstTile(request) {
+    const cache = await caches.open(TILE_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    
+    const response = await fetch(request);
+    if (response.ok) {
+        await cache.put(request, response.clone());
+        tilesSinceTrim++;
+        if (tilesSinceTrim >= TILE_TRIM_INTERVAL) {
+            tilesSinceTrim = 0;
+            trimTileCache(cache);
+        }
+    }
+    return response;
+}
+
+// Delete the oldest tiles once the cache holds more than MAX_TILE_ENTRIES
+async function trimTileCache(cache) {
+    const keys = await cache.keys();
+    const excess = keys.length - MAX_TILE_ENTRIES;
+    if (excess > 0) {
+        await Promise.all(keys.slice(0, excess).map(key => cache.delete(key)));
+    }
+}
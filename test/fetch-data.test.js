@@ -0,0 +1,118 @@
+// Tests for the refresh checks in fetch-data.js, which decide whether --refresh overwrites a data file:
+//   node --test test/
+// Requiring fetch-data.js doesn't run the script, so nothing here talks to Overpass.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const FETCH_DATA = require('../fetch-data.js');
+
+const CATEGORY_IDS = ['coffee-shops', 'bars'];
+
+function business(osmType, id, categories, fields = {}) {
+    return {
+        id,
+        osmType,
+        name: `Place ${id}`,
+        lat: 45.5,
+        lon: -122.65,
+        tags: { name: `Place ${id}` },
+        categories,
+        ...fields
+    };
+}
+
+const keys = entries => entries.map(entry => entry.key);
+
+test('lists added and removed businesses per category', () => {
+    const previous = [business('node', 1, ['coffee-shops']), business('node', 2, ['coffee-shops', 'bars'])];
+    const current = [business('node', 2, ['coffee-shops']), business('node', 3, ['bars'])];
+    const changes = FETCH_DATA.diffBusinesses(previous, current, CATEGORY_IDS);
+
+    assert.deepStrictEqual(changes['coffee-shops'].before, 2);
+    assert.deepStrictEqual(changes['coffee-shops'].after, 1);
+    assert.deepStrictEqual(keys(changes['coffee-shops'].removed), ['node/1']);
+    assert.deepStrictEqual(keys(changes['coffee-shops'].added), []);
+    assert.deepStrictEqual(keys(changes.bars.removed), ['node/2']);
+    assert.deepStrictEqual(keys(changes.bars.added), ['node/3']);
+});
+
+test('tells a node and a way with the same id apart', () => {
+    const previous = [business('node', 7, ['bars'])];
+    const current = [business('way', 7, ['bars'])];
+    const changes = FETCH_DATA.diffBusinesses(previous, current, CATEGORY_IDS);
+
+    assert.deepStrictEqual(keys(changes.bars.added), ['way/7']);
+    assert.deepStrictEqual(keys(changes.bars.removed), ['node/7']);
+});
+
+test('counts a business as moved only beyond 25 m', () => {
+    const previous = [business('node', 1, ['bars']), business('node', 2, ['bars'])];
+    const current = [
+        // About 11 m north
+        business('node', 1, ['bars'], { lat: 45.5001 }),
+        // About 111 m north
+        business('node', 2, ['bars'], { lat: 45.501 })
+    ];
+    const changes = FETCH_DATA.diffBusinesses(previous, current, CATEGORY_IDS);
+
+    assert.deepStrictEqual(keys(changes.bars.moved), ['node/2']);
+    assert.ok(Math.abs(changes.bars.moved[0].distanceMeters - 111) <= 1);
+    assert.deepStrictEqual(changes.bars.added, []);
+    assert.deepStrictEqual(changes.bars.removed, []);
+});
+
+test('lists re-tagged businesses with the tags that changed', () => {
+    const previous = [business('node', 1, ['coffee-shops'], { tags: { name: 'Cafe', opening_hours: 'Mo-Fr 08:00-16:00' } })];
+    const current = [business('node', 1, ['coffee-shops'], { tags: { name: 'Cafe', opening_hours: '24/7', website: 'https://example.com' } })];
+    const changes = FETCH_DATA.diffBusinesses(previous, current, CATEGORY_IDS);
+
+    assert.deepStrictEqual(changes['coffee-shops'].retagged, [
+        { key: 'node/1', name: 'Place 1', changedTags: ['opening_hours', 'website'] }
+    ]);
+});
+
+test('only counts businesses when the previous file has no OSM element types', () => {
+    const previous = [
+        { id: 7, name: 'Old node', lat: 45.5, lon: -122.65, tags: {}, category: 'bars' },
+        { id: 8, name: 'Old way', lat: 45.6, lon: -122.6, tags: {}, category: 'coffee-shops' }
+    ];
+    const current = [business('way', 7, ['bars'])];
+    assert.strictEqual(FETCH_DATA.canCompareBusinesses(previous), false);
+
+    const changes = FETCH_DATA.diffBusinesses(previous, current, CATEGORY_IDS);
+    assert.deepStrictEqual(changes.bars, { before: 1, after: 1, added: [], removed: [], moved: [], retagged: [] });
+    assert.deepStrictEqual(changes['coffee-shops'], { before: 1, after: 0, added: [], removed: [], moved: [], retagged: [] });
+});
+
+test('refuses to save when a category drops to zero', () => {
+    const previous = [business('node', 1, ['coffee-shops']), business('node', 2, ['bars'])];
+    const current = [business('node', 1, ['coffee-shops'])];
+    const result = FETCH_DATA.checkRefresh(previous, current, CATEGORY_IDS, []);
+
+    assert.deepStrictEqual(result.problems, ['bars dropped from 1 businesses to 0']);
+    assert.strictEqual(result.save, false);
+});
+
+test('refuses to save when a category failed to load, reporting it once', () => {
+    const previous = [business('node', 1, ['coffee-shops']), business('node', 2, ['bars'])];
+    const current = [business('node', 1, ['coffee-shops'])];
+    const result = FETCH_DATA.checkRefresh(previous, current, CATEGORY_IDS, ['bars']);
+
+    assert.deepStrictEqual(result.problems, ['bars failed to load']);
+    assert.strictEqual(result.save, false);
+});
+
+test('saves despite problems with --force', () => {
+    const previous = [business('node', 1, ['coffee-shops']), business('node', 2, ['bars'])];
+    const current = [business('node', 1, ['coffee-shops'])];
+    const result = FETCH_DATA.checkRefresh(previous, current, CATEGORY_IDS, ['bars'], { force: true });
+
+    assert.deepStrictEqual(result.problems, ['bars failed to load']);
+    assert.strictEqual(result.save, true);
+});
+
+test('saves a refresh without problems, including the first one', () => {
+    const current = [business('node', 1, ['coffee-shops'])];
+    assert.strictEqual(FETCH_DATA.checkRefresh([business('node', 1, ['coffee-shops'])], current, CATEGORY_IDS, []).save, true);
+    assert.strictEqual(FETCH_DATA.checkRefresh([], current, CATEGORY_IDS, []).save, true);
+});
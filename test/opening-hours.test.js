@@ -0,0 +1,125 @@
+// Tests for the opening_hours parser in opening-hours.js:
+//   node --test test/
+// Times are wall clock times, so the results don't depend on the time zone the tests run in.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const OPENING_HOURS = require('../opening-hours.js');
+
+// Local time on a day of October 2026, which starts on a Thursday (Monday the 19th, Tuesday the 20th)
+function at(day, time, month = 9) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return { year: 2026, month, day, minute: hours * 60 + minutes };
+}
+
+const MONDAY = 19;
+const TUESDAY = 20;
+const SATURDAY = 24;
+const SUNDAY = 25;
+
+function stateAt(value, day, time, month) {
+    return OPENING_HOURS.getOpenState(value, at(day, time, month));
+}
+
+test('24/7 is always open', () => {
+    assert.strictEqual(stateAt('24/7', MONDAY, '03:00'), 'open');
+    assert.strictEqual(stateAt('24/7', SUNDAY, '23:59'), 'open');
+});
+
+test('weekday and time ranges', () => {
+    const value = 'Mo-Fr 08:00-12:00,13:00-17:00';
+    assert.strictEqual(stateAt(value, MONDAY, '08:00'), 'open');
+    assert.strictEqual(stateAt(value, MONDAY, '12:30'), 'closed');
+    assert.strictEqual(stateAt(value, MONDAY, '17:00'), 'closed');
+    assert.strictEqual(stateAt(value, SATURDAY, '10:00'), 'closed');
+});
+
+test('a rule after ";" replaces earlier rules on its days', () => {
+    const value = 'Mo-Sa 09:00-17:00; Sa 10:00-14:00';
+    assert.strictEqual(stateAt(value, MONDAY, '16:00'), 'open');
+    assert.strictEqual(stateAt(value, SATURDAY, '09:30'), 'closed');
+    assert.strictEqual(stateAt(value, SATURDAY, '13:00'), 'open');
+    assert.strictEqual(stateAt(value, SATURDAY, '16:00'), 'closed');
+});
+
+test('a rule after "," adds to earlier rules', () => {
+    const value = 'Mo-Fr 09:00-12:00, Mo 14:00-16:00';
+    assert.strictEqual(stateAt(value, MONDAY, '10:00'), 'open');
+    assert.strictEqual(stateAt(value, MONDAY, '15:00'), 'open');
+    assert.strictEqual(stateAt(value, TUESDAY, '15:00'), 'closed');
+});
+
+test('off closes the days it covers', () => {
+    assert.strictEqual(stateAt('Mo-Su 10:00-20:00; Tu off', TUESDAY, '12:00'), 'closed');
+    assert.strictEqual(stateAt('Mo-Su 10:00-20:00; Tu off', MONDAY, '12:00'), 'open');
+    assert.strictEqual(stateAt('Mo-Su 10:00-20:00, Tu closed', TUESDAY, '12:00'), 'closed');
+});
+
+test('times past midnight stay open into the next day', () => {
+    const value = 'Mo 18:00-02:00';
+    assert.strictEqual(stateAt(value, MONDAY, '23:00'), 'open');
+    assert.strictEqual(stateAt(value, TUESDAY, '01:00'), 'open');
+    assert.strictEqual(stateAt(value, TUESDAY, '02:00'), 'closed');
+    assert.strictEqual(stateAt(value, MONDAY, '01:00'), 'closed');
+});
+
+test('a later rule for the next day replaces the hours past midnight', () => {
+    assert.strictEqual(stateAt('Mo 18:00-02:00; Tu off', TUESDAY, '01:00'), 'closed');
+    assert.strictEqual(stateAt('Mo 18:00-02:00; Tu 10:00-12:00', TUESDAY, '01:00'), 'closed');
+    assert.strictEqual(stateAt('Tu off; Mo 18:00-02:00', TUESDAY, '01:00'), 'open');
+    assert.strictEqual(stateAt('Mo-Su 18:00-02:00', TUESDAY, '01:00'), 'open');
+});
+
+test('hours past midnight carry over into the next month', () => {
+    // Saturday 31 October to Sunday 1 November
+    assert.strictEqual(stateAt('Sa 20:00-03:00', 1, '01:00', 10), 'open');
+});
+
+test('an open end ("18:00+") is open until midnight', () => {
+    assert.strictEqual(stateAt('Fr-Sa 18:00+', SATURDAY, '23:30'), 'open');
+    assert.strictEqual(stateAt('Fr-Sa 18:00+', SATURDAY, '17:00'), 'closed');
+    assert.strictEqual(stateAt('Fr-Sa 18:00+', SUNDAY, '00:30'), 'closed');
+});
+
+test('month ranges, including ones across the new year', () => {
+    const value = 'Oct-Apr Mo-Fr 10:00-16:00; May-Sep Mo-Fr 08:00-20:00';
+    assert.strictEqual(stateAt(value, MONDAY, '09:00'), 'closed');
+    assert.strictEqual(stateAt(value, MONDAY, '11:00'), 'open');
+    // Monday 11 January 2027 falls in Oct-Apr too
+    assert.strictEqual(OPENING_HOURS.getOpenState(value, { year: 2027, month: 0, day: 11, minute: 11 * 60 }), 'open');
+    // Monday 15 June 2026
+    assert.strictEqual(stateAt(value, 15, '19:00', 5), 'open');
+});
+
+test('rules only for public holidays are skipped', () => {
+    const value = 'Mo-Fr 09:00-17:00; PH off';
+    assert.strictEqual(stateAt(value, MONDAY, '10:00'), 'open');
+    assert.strictEqual(stateAt('PH 10:00-14:00', MONDAY, '11:00'), 'closed');
+});
+
+test('comments are ignored, and a rule with only a comment is unknown', () => {
+    assert.strictEqual(stateAt('Mo-Fr 09:00-17:00 "call ahead"', MONDAY, '10:00'), 'open');
+    assert.strictEqual(stateAt('"by appointment"', MONDAY, '10:00'), 'unknown');
+    assert.strictEqual(stateAt('Mo-Fr 09:00-17:00; Sa "by appointment"', SATURDAY, '10:00'), 'unknown');
+    assert.strictEqual(stateAt('Mo-Fr 09:00-17:00; Sa "by appointment"', SUNDAY, '10:00'), 'closed');
+});
+
+test('unsupported syntax and missing values are unknown', () => {
+    assert.strictEqual(OPENING_HOURS.parseOpeningHours('Mo-Fr sunrise-sunset'), null);
+    assert.strictEqual(stateAt('Mo-Fr sunrise-sunset', MONDAY, '12:00'), 'unknown');
+    assert.strictEqual(stateAt('week 1-26 Mo-Fr 09:00-17:00', MONDAY, '12:00'), 'unknown');
+    assert.strictEqual(stateAt('Mo[1] 09:00-17:00', MONDAY, '12:00'), 'unknown');
+    assert.strictEqual(stateAt('', MONDAY, '12:00'), 'unknown');
+    assert.strictEqual(stateAt(undefined, MONDAY, '12:00'), 'unknown');
+});
+
+test('getLocalTime reads the wall clock in the given time zone', () => {
+    // 08:30 UTC on Tuesday 20 October is 01:30 on Tuesday in Portland (PDT, UTC-7)
+    const portland = OPENING_HOURS.getLocalTime(new Date('2026-10-20T08:30:00Z'), 'America/Los_Angeles');
+    assert.deepStrictEqual(portland, { year: 2026, month: 9, day: TUESDAY, minute: 90 });
+    assert.strictEqual(OPENING_HOURS.getOpenState('Mo 18:00-02:00', portland), 'open');
+
+    // 04:00 UTC on Tuesday is still Monday evening in Portland
+    const evening = OPENING_HOURS.getLocalTime(new Date('2026-10-20T04:00:00Z'), 'America/Los_Angeles');
+    assert.deepStrictEqual(evening, { year: 2026, month: 9, day: MONDAY, minute: 21 * 60 });
+});
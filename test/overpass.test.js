@@ -0,0 +1,109 @@
+// Tests for the Overpass client in overpass.js, run against a local stub server:
+//   node --test test/
+// The client's own fetch() transport talks to the stub; sleep is replaced so retries don't wait.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const OVERPASS_CLIENT = require('../overpass.js');
+
+const OK_BODY = JSON.stringify({ elements: [{ type: 'node', id: 1 }] });
+
+// Start a stub server where each path ("/a", "/b") answers with its next scripted response:
+// { status, headers, body }. Resolves to { url(path), requests, close() }.
+function startStubServer(responsesByPath) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        requests.push(req.url);
+        const next = (responsesByPath[req.url] || []).shift() || { status: 500, body: 'No scripted response' };
+        res.writeHead(next.status, { 'Content-Type': 'application/json', ...next.headers });
+        res.end(next.body || '');
+    });
+    
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            resolve({
+                url: path => `http://127.0.0.1:${port}${path}`,
+                requests,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+// Client for the stub's endpoints that records how long it was asked to wait between attempts
+function createTestClient(endpoints, retries = []) {
+    const waits = [];
+    const client = OVERPASS_CLIENT.createOverpassClient({
+        endpoints,
+        timeoutMs: 5000,
+        sleep: ms => {
+            waits.push(ms);
+            return Promise.resolve();
+        },
+        onRetry: details => retries.push(details)
+    });
+    return { client, waits };
+}
+
+test('waits as long as Retry-After asks after a 429, then retries', async () => {
+    const stub = await startStubServer({
+        '/a': [
+            { status: 429, headers: { 'Retry-After': '3' } },
+            { status: 200, body: OK_BODY }
+        ]
+    });
+    try {
+        const { client, waits } = createTestClient([stub.url('/a')]);
+        const data = await client.query('node(1);out;');
+        
+        assert.deepStrictEqual(data.elements, [{ type: 'node', id: 1 }]);
+        assert.deepStrictEqual(stub.requests, ['/a', '/a']);
+        assert.strictEqual(waits.length, 1);
+        assert.ok(waits[0] > 2000 && waits[0] <= 3000, `waited ${waits[0]} ms`);
+    } finally {
+        await stub.close();
+    }
+});
+
+test('fails over to the next endpoint after a gateway error', async () => {
+    const stub = await startStubServer({
+        '/a': [{ status: 504 }],
+        '/b': [{ status: 200, body: OK_BODY }]
+    });
+    try {
+        const retries = [];
+        const { client } = createTestClient([stub.url('/a'), stub.url('/b')], retries);
+        const data = await client.query('node(1);out;', { label: 'test query' });
+        
+        assert.deepStrictEqual(data.elements, [{ type: 'node', id: 1 }]);
+        assert.deepStrictEqual(stub.requests, ['/a', '/b']);
+        assert.strictEqual(retries.length, 1);
+        assert.strictEqual(retries[0].label, 'test query');
+        assert.strictEqual(retries[0].error.status, 504);
+        assert.strictEqual(retries[0].nextEndpoint, stub.url('/b'));
+    } finally {
+        await stub.close();
+    }
+});
+
+test('fails at once on a 400 without trying other endpoints', async () => {
+    const stub = await startStubServer({
+        '/a': [{ status: 400, body: 'Error: line 1: parse error' }],
+        '/b': [{ status: 200, body: OK_BODY }]
+    });
+    try {
+        const { client, waits } = createTestClient([stub.url('/a'), stub.url('/b')]);
+        
+        await assert.rejects(client.query('not a query'), error => {
+            assert.strictEqual(error.attempts.length, 1);
+            assert.match(error.message, /HTTP 400/);
+            return true;
+        });
+        assert.deepStrictEqual(stub.requests, ['/a']);
+        assert.deepStrictEqual(waits, []);
+    } finally {
+        await stub.close();
+    }
+});
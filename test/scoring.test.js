@@ -0,0 +1,204 @@
+// Tests for the spatial index in scoring.js, checked against a brute-force scan:
+//   node --test test/
+// scoring.js is a plain script for the page and the scoring worker, so it is run in a context
+// with GEOMETRY, as scoring-worker.js does with importScripts.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const GEOMETRY = require('../geometry.js');
+
+const scoring = vm.createContext({ GEOMETRY });
+vm.runInContext(fs.readFileSync(path.join(__dirname, '../scoring.js'), 'utf8'), scoring, { filename: 'scoring.js' });
+
+const CELL_KM = 0.5;
+const CATEGORY_IDS = ['coffee-shops', 'bars', 'big-box-stores'];
+
+// Repeatable pseudo-random numbers, so a failure can be reproduced
+function createRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+}
+
+// Businesses scattered over a few kilometres, plus some placed exactly on bucket edges and corners.
+// Bucket edges depend on the mean latitude, which only the latitudes decide, so the edge
+// longitudes are placed once every latitude is known.
+function createFixture() {
+    const random = createRandom(7);
+    const latStep = CELL_KM / 111;
+    const businesses = [];
+    const add = (lat, lon) => {
+        const id = businesses.length + 1;
+        const categories = [CATEGORY_IDS[id % 3]];
+        if (id % 7 === 0) {
+            categories.push(CATEGORY_IDS[(id + 1) % 3]);
+        }
+        businesses.push({ id, lat, lon, categories });
+    };
+
+    for (let i = 0; i < 400; i++) {
+        add(45.50 + random() * 0.06, -122.70 + random() * 0.08);
+    }
+
+    const edgeRows = [];
+    for (let row = Math.ceil(45.505 / latStep); row * latStep < 45.555; row += 2) {
+        edgeRows.push(row);
+    }
+    const edgeLats = edgeRows.map(row => row * latStep);
+    const meanLat = (businesses.reduce((sum, b) => sum + b.lat, 0) + edgeLats.reduce((sum, lat) => sum + lat * 3, 0)) /
+        (businesses.length + edgeLats.length * 3);
+    const lonStep = CELL_KM / (111 * Math.cos(meanLat * Math.PI / 180));
+    const firstCol = Math.ceil(-122.69 / lonStep);
+    edgeLats.forEach((lat, i) => {
+        [0, 3, 7].forEach(offset => add(lat, (firstCol + i + offset) * lonStep));
+    });
+
+    return { businesses, latStep, lonStep };
+}
+
+const { businesses, latStep, lonStep } = createFixture();
+
+function bruteNearest(items, lat, lon) {
+    let best = null;
+    items.forEach(item => {
+        const distance = GEOMETRY.calculateDistance(lat, lon, item.lat, item.lon);
+        if (!best || distance < best.distance) {
+            best = { item, distance };
+        }
+    });
+    return best;
+}
+
+function bruteWithinBounds(items, bounds) {
+    return items.filter(item => item.lat >= bounds.minLat && item.lat <= bounds.maxLat &&
+        item.lon >= bounds.minLon && item.lon <= bounds.maxLon);
+}
+
+// Arrays from scoring.js belong to its context, so they are copied before comparing
+const ids = items => Array.from(items, item => item.id).sort((a, b) => a - b);
+
+// Query points: bucket corners and edge midpoints, business positions, and points outside the data
+function createQueryPoints() {
+    const random = createRandom(11);
+    const points = [];
+    for (let row = Math.floor(45.49 / latStep); row * latStep < 45.57; row++) {
+        for (let col = Math.floor(-122.71 / lonStep); col * lonStep < -122.61; col += 3) {
+            points.push([row * latStep, col * lonStep]);
+            points.push([(row + 0.5) * latStep, col * lonStep]);
+        }
+    }
+    businesses.slice(-20).forEach(b => points.push([b.lat, b.lon]));
+    for (let i = 0; i < 50; i++) {
+        points.push([45.45 + random() * 0.16, -122.75 + random() * 0.18]);
+    }
+    points.push([45.3, -122.9], [45.8, -122.4]);
+    return points;
+}
+
+test('nearest matches a brute-force scan, including points on bucket edges', () => {
+    const points = createQueryPoints();
+    [CELL_KM, 0.1, 2].forEach(cellSizeKm => {
+        const index = scoring.createSpatialIndex(businesses, cellSizeKm);
+        points.forEach(([lat, lon]) => {
+            const expected = bruteNearest(businesses, lat, lon);
+            const actual = index.nearest(lat, lon);
+            assert.strictEqual(actual.distance, expected.distance, `cell ${cellSizeKm} km at ${lat},${lon}`);
+        });
+    });
+
+    assert.strictEqual(scoring.createSpatialIndex([]).nearest(45.5, -122.6), null);
+});
+
+test('withinBounds matches a brute-force scan, including boxes on bucket edges', () => {
+    const index = scoring.createSpatialIndex(businesses, CELL_KM);
+    const boxes = [];
+    for (let row = Math.floor(45.50 / latStep); row * latStep < 45.56; row += 2) {
+        for (let col = Math.floor(-122.70 / lonStep); col * lonStep < -122.62; col += 2) {
+            // One bucket, two by three buckets, and a box offset by half a bucket
+            boxes.push({ minLat: row * latStep, maxLat: (row + 1) * latStep, minLon: col * lonStep, maxLon: (col + 1) * lonStep });
+            boxes.push({ minLat: row * latStep, maxLat: (row + 2) * latStep, minLon: col * lonStep, maxLon: (col + 3) * lonStep });
+            boxes.push({ minLat: (row + 0.5) * latStep, maxLat: (row + 1.5) * latStep, minLon: (col + 0.5) * lonStep, maxLon: (col + 1.5) * lonStep });
+        }
+    }
+    // Boxes whose edges run through businesses, and one around all of them
+    businesses.slice(-10).forEach(b => {
+        boxes.push({ minLat: b.lat, maxLat: b.lat + latStep, minLon: b.lon - lonStep, maxLon: b.lon });
+    });
+    boxes.push({ minLat: 45, maxLat: 46, minLon: -123, maxLon: -122 });
+
+    boxes.forEach(box => {
+        assert.deepStrictEqual(ids(index.withinBounds(box)), ids(bruteWithinBounds(businesses, box)), JSON.stringify(box));
+    });
+});
+
+test('scoreAreas gives the same results with the indexes as with brute-force lookups', () => {
+    // Grid cells lined up with the index buckets and offset from them, and a neighborhood polygon
+    const areas = [];
+    for (let row = Math.floor(45.49 / latStep); row * latStep < 45.57; row += 2) {
+        for (let col = Math.floor(-122.71 / lonStep); col * lonStep < -122.61; col += 2) {
+            const offset = areas.length % 2 === 0 ? 0 : 0.5;
+            const bounds = {
+                minLat: (row + offset) * latStep,
+                maxLat: (row + offset + 1) * latStep,
+                minLon: (col + offset) * lonStep,
+                maxLon: (col + offset + 1) * lonStep
+            };
+            areas.push({
+                id: areas.length,
+                isGridCell: true,
+                bounds,
+                centerLat: (bounds.minLat + bounds.maxLat) / 2,
+                centerLon: (bounds.minLon + bounds.maxLon) / 2,
+                area: CELL_KM * CELL_KM
+            });
+        }
+    }
+    const ring = [
+        { lat: 45.51, lon: -122.69 }, { lat: 45.54, lon: -122.68 },
+        { lat: 45.53, lon: -122.64 }, { lat: 45.51, lon: -122.69 }
+    ];
+    areas.push({
+        id: 'neighborhood',
+        geometry: ring,
+        bounds: GEOMETRY.calculateBounds(ring),
+        centerLat: 45.527,
+        centerLon: -122.67,
+        area: GEOMETRY.calculateArea(ring)
+    });
+
+    const bruteIndex = items => ({
+        nearest: (lat, lon) => bruteNearest(items, lat, lon),
+        withinBounds: bounds => bruteWithinBounds(items, bounds)
+    });
+    const bruteIndexes = { all: bruteIndex(businesses), byCategory: {} };
+    CATEGORY_IDS.forEach(catId => {
+        bruteIndexes.byCategory[catId] = bruteIndex(businesses.filter(b => b.categories.includes(catId)));
+    });
+
+    const settings = {
+        categoryIds: ['coffee-shops', 'bars'],
+        detractorIds: ['big-box-stores'],
+        weights: { 'coffee-shops': 1, bars: 0.5 },
+        detractorPenaltyWeight: 0.5
+    };
+    // Plain values to compare; the nearest business itself can differ between equally near ones
+    const summarize = results => Array.from(results, result => ({
+        id: result.id,
+        bohemianScore: result.bohemianScore,
+        categoryScores: { ...result.categoryScores },
+        detractorPenalty: result.detractorPenalty,
+        minDistance: result.minDistance,
+        nearestDistanceByCategory: { ...result.nearestDistanceByCategory },
+        businesses: ids(result.businesses)
+    }));
+
+    const indexed = summarize(scoring.scoreAreas(areas, scoring.createBusinessIndexes(businesses), settings));
+    const brute = summarize(scoring.scoreAreas(areas, bruteIndexes, settings));
+    assert.deepStrictEqual(indexed, brute);
+    assert.ok(indexed.some(result => result.businesses.length > 0));
+});